@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+import { readFile, writeFile, mkdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { convertProject, writeOutputs, zipOutputs } from '../node/index.js';
+import { DEFAULT_OPTIONS, validateOptions } from '../src/lib/options.js';
+import { formatErrorsText, typeErrorsOf, formatDiagnostic, warningNotesOf, formatNote } from '../src/lib/errors.js';
+
+// --- transpile-box CLI ---
+// transpile-box <folder> --out <dir> [--zip] [--config options.json] [--option key=value ...]
+
+const USAGE = `Usage: transpile-box <folder> --out <dir> [options]
+
+Options:
+  -o, --out <dir>          Where converted files go (relative to the current directory)
+  -z, --zip                Write a ZIP into --out instead (or to --out itself if it ends in .zip)
+  -c, --config <file>      JSON file with web app settings (e.g. {"target": "es2020"})
+      --option <key=value> Override one setting; values are parsed as JSON when they can be
+  -j, --concurrency <n>    Worker threads (default: one per CPU)
+  -q, --quiet              Only print errors
+  -h, --help               Show this help`;
+
+// JSON when it parses, except that text settings keep the text as typed (formatIndent=2)
+const parseValue = (key, value) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    return value;
+  }
+  return typeof DEFAULT_OPTIONS[key] === 'string' && typeof parsed !== 'string' ? value : parsed;
+};
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(2);
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o' },
+      zip: { type: 'boolean', short: 'z' },
+      config: { type: 'string', short: 'c' },
+      option: { type: 'string', multiple: true },
+      concurrency: { type: 'string', short: 'j' },
+      quiet: { type: 'boolean', short: 'q' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  const [input] = positionals;
+  if (!input || !values.out) fail(USAGE);
+  if (!(await stat(input).catch(() => null))?.isDirectory()) fail(`Not a folder: ${input}`);
+
+  const options = values.config ? JSON.parse(await readFile(values.config, 'utf8')) : {};
+  (values.option || []).forEach(entry => {
+    const split = entry.indexOf('=');
+    if (split === -1) fail(`Expected key=value, got "${entry}"`);
+    const key = entry.slice(0, split);
+    options[key] = parseValue(key, entry.slice(split + 1));
+  });
+  const problems = validateOptions(options);
+  if (problems.length > 0) fail(problems.join('\n'));
+  const concurrency = values.concurrency === undefined ? undefined : Number(values.concurrency);
+  if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency >= 1)) {
+    fail(`--concurrency must be a whole number of at least 1; got "${values.concurrency}"`);
+  }
+
+  const log = values.quiet ? () => {} : (message) => console.log(message);
+  const { files, outputs, blocked, root } = await convertProject(input, {
+    options,
+    concurrency,
+    onProgress: values.quiet || !process.stdout.isTTY
+      ? undefined
+      : (done, total) => process.stdout.write(`\rConverting ${done}/${total}`)
+  });
+  if (!values.quiet && process.stdout.isTTY) process.stdout.write('\n');
+
+  const failed = files.filter(f => f.error);
+  if (failed.length > 0) console.error(formatErrorsText(files));
+  files.filter(f => typeErrorsOf(f).length > 0).forEach(f => {
+    typeErrorsOf(f).forEach(d => console.error(`${f.originalPath}:${formatDiagnostic(d)}`));
+  });
+  files.forEach(f => warningNotesOf(f).forEach(n => console.error(`${f.originalPath}:${formatNote(n)} (warning)`)));
+
+  if (blocked > 0) {
+    console.error(`Export blocked: ${blocked} files have type errors`);
+    process.exit(1);
+  }
+
+  if (values.zip) {
+    const target = values.out.endsWith('.zip') ? values.out : path.join(values.out, `${root || 'converted_project'}.zip`);
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(target, await zipOutputs(outputs));
+    log(`Wrote ${outputs.length} files to ${target}`);
+  } else {
+    await writeOutputs(outputs, values.out, root);
+    log(`Wrote ${outputs.length} files to ${values.out}`);
+  }
+
+  if (failed.length > 0) {
+    console.error(`${failed.length} files failed to convert`);
+    process.exit(1);
+  }
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(2);
+});
@@ -0,0 +1,128 @@
+import { readdir, readFile, writeFile, mkdir } from 'node:fs/promises';
+import { availableParallelism } from 'node:os';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { DEFAULT_OPTIONS, effectiveOptions } from '../src/lib/options.js';
+import { classifyFiles, createScriptRecord, createAssetRecord, readSource, projectRoot, withRelativePath } from '../src/lib/projectFiles.js';
+import { loadProjectConfig } from '../src/lib/tsconfig.js';
+import { createPathFilter } from '../src/lib/glob.js';
+import { fileIndexOf, createTask, applyResult, programSources, prepassSources, applyProgramJob, collectOutputs, createZip } from '../src/lib/pipeline.js';
+import { buildTsCompilerOptions, rootLibFiles, loadLibs, emitDeclarations, checkProgram } from '../src/lib/tsProgram.js';
+import { analyzeProject } from '../src/lib/prepass.js';
+import { createWorkerPool } from './pool.js';
+
+// --- Node API ---
+// Runs the web app's pipeline on a folder: the same file filtering, renaming, options, import
+// rewriting and output layout, with worker_threads in place of Web Workers.
+
+const require = createRequire(import.meta.url);
+
+const PROGRAM_JOBS = {
+  typecheck: checkProgram,
+  declarations: emitDeclarations
+};
+
+// Reads a folder the way a folder upload sees it: Files whose webkitRelativePath starts with
+// the folder's name. Excluded directories are skipped without being read.
+export const readProject = async (dir, options = DEFAULT_OPTIONS) => {
+  const root = path.basename(path.resolve(dir));
+  const keep = createPathFilter('', options.excludeGlobs);
+  const files = [];
+
+  const walk = async (abs, rel) => {
+    for (const entry of await readdir(abs, { withFileTypes: true })) {
+      const entryRel = rel ? `${rel}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (keep(entryRel)) await walk(path.join(abs, entry.name), entryRel);
+      } else if (entry.isFile()) {
+        const file = new File([await readFile(path.join(abs, entry.name))], entry.name);
+        files.push(withRelativePath(file, `${root}/${entryRel}`));
+      }
+    }
+  };
+  await walk(path.resolve(dir), '');
+  return files;
+};
+
+const readSources = async (files) => new Map(await Promise.all(Object.entries(files).map(async ([file, source]) => [
+  file,
+  typeof source === 'string' ? source : await source.text()
+])));
+
+const readTsLib = (name) => readFile(path.join(path.dirname(require.resolve('typescript')), name), 'utf8').catch(() => undefined);
+
+// Type-check and declaration emit, in the same order the web app queues them
+const runProgramJobs = async (files, settings, project) => {
+  const jobs = Object.keys(PROGRAM_JOBS).filter(type => (type === 'typecheck' ? settings.typeCheck : settings.declarations));
+  if (jobs.length === 0) return files;
+
+  const ts = (await import('typescript')).default;
+  const compilerOptions = buildTsCompilerOptions(settings, project);
+  const libs = await loadLibs(rootLibFiles(ts, compilerOptions), readTsLib);
+  const sources = await readSources(programSources(files));
+
+  return jobs.reduce((result, type) => applyProgramJob(result, type, PROGRAM_JOBS[type](ts, sources, libs, compilerOptions)), files);
+};
+
+// Converts the folder `dir`. `options` are the web app's settings (missing ones get their
+// defaults); a tsconfig.json in the folder applies like it does for an upload.
+// Resolves with the file records, what an export would write, and the project root folder.
+export const convertProject = async (dir, { options = {}, concurrency = availableParallelism(), onProgress } = {}) => {
+  const userOptions = { ...DEFAULT_OPTIONS, ...options };
+  const fileList = await readProject(dir, userOptions);
+  const project = await loadProjectConfig(fileList);
+  const settings = effectiveOptions(userOptions, project);
+
+  const { scripts, assets } = classifyFiles(fileList, userOptions, project);
+  let files = [
+    ...scripts.map(({ file, path: filePath }) => ({ ...createScriptRecord(file, filePath), sourceMaps: settings.sourceMaps })),
+    ...assets.map(({ file, path: filePath }) => createAssetRecord(file, filePath))
+  ];
+
+  // The pre-pass is one quick parse per file, so it runs here rather than in a worker
+  const prepass = settings.projectPrepass
+    ? analyzeProject(await readSources(prepassSources(files)), settings.useTsconfig ? project?.aliases || null : null)
+    : null;
+
+  const pool = createWorkerPool(Math.max(1, Math.min(concurrency, scripts.length)), fileIndexOf(files, settings, project));
+  let done = 0;
+  try {
+    // Workers get the text rather than the File
+    const results = new Map(await Promise.all(files.filter(f => f.kind !== 'asset').map(async f => {
+      const { source: _source, ...task } = createTask(f, settings, prepass);
+      const result = await pool.run({
+        ...task,
+        content: await readSource(f),
+        timeout: settings.taskTimeout * 1000,
+        retries: settings.taskRetries
+      });
+      onProgress?.(++done, scripts.length);
+      return [f.id, result];
+    })));
+    files = files.map(f => (results.has(f.id) ? applyResult(f, results.get(f.id)) : f));
+  } finally {
+    await pool.close();
+  }
+
+  files = await runProgramJobs(files, settings, project);
+  const { outputs, blocked } = collectOutputs(files, settings);
+  return { files, outputs, blocked, root: projectRoot(files) };
+};
+
+const toBytes = async (data) => (typeof data === 'string' ? data : new Uint8Array(await data.arrayBuffer()));
+
+// Writes outputs under `outDir`, relative to the project root like a folder write in the browser
+export const writeOutputs = async (outputs, outDir, root = '') => {
+  for (const { path: outputPath, data } of outputs) {
+    const rel = root && outputPath.startsWith(`${root}/`) ? outputPath.slice(root.length + 1) : outputPath;
+    const target = path.join(outDir, ...rel.split('/'));
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(target, await toBytes(data));
+  }
+};
+
+// The ZIP the web app's download button produces, as a Buffer
+export const zipOutputs = async (outputs) => {
+  const entries = await Promise.all(outputs.map(async ({ path: outputPath, data }) => ({ path: outputPath, data: await toBytes(data) })));
+  return createZip(entries).generateAsync({ type: 'nodebuffer' });
+};
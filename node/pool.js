@@ -0,0 +1,91 @@
+import { Worker } from 'node:worker_threads';
+
+// --- worker_threads Pool ---
+// Runs tasks on `size` workers. Like the web app's pool, a task with a `timeout` (ms) that runs
+// over it, or whose worker crashes, gets a fresh worker and is tried again up to `retries` times
+// before it fails.
+
+const WORKER_URL = new URL('./transpile.worker.js', import.meta.url);
+
+export const createWorkerPool = (size, index) => {
+  const queue = [];
+  const slots = [];
+
+  const next = () => {
+    const slot = slots.find(s => !s.job);
+    if (!slot || queue.length === 0) return;
+    slot.job = queue.shift();
+    slot.worker.postMessage(slot.job.task);
+    const { timeout } = slot.job.task;
+    if (timeout > 0) slot.timer = setTimeout(() => failJob(slot, `Timed out after ${timeout / 1000}s`), timeout);
+    next();
+  };
+
+  // Gives up on a slot's current job: the worker is replaced and the job retried or reported
+  const failJob = (slot, reason) => {
+    const job = slot.job;
+    clearTimeout(slot.timer);
+    slot.worker.removeAllListeners();
+    slot.worker.terminate();
+    spawn(slot);
+
+    if (job.attempt < (job.task.retries || 0)) {
+      queue.unshift({ ...job, attempt: job.attempt + 1 });
+    } else {
+      const message = job.attempt > 0 ? `${reason} (${job.attempt + 1} attempts)` : reason;
+      job.resolve({
+        success: false,
+        id: job.task.id,
+        error: {
+          message,
+          line: null,
+          column: null,
+          codeFrame: null,
+          hint: reason.startsWith('Timed out') ? 'Raise taskTimeout if this file is just large.' : null
+        }
+      });
+    }
+    next();
+  };
+
+  const spawn = (slot) => {
+    slot.worker = new Worker(WORKER_URL);
+    slot.job = null;
+    if (index) slot.worker.postMessage({ type: 'index', ...index });
+
+    slot.worker.on('message', (result) => {
+      const { resolve } = slot.job;
+      clearTimeout(slot.timer);
+      slot.job = null;
+      resolve(result);
+      next();
+    });
+    slot.worker.on('error', (error) => {
+      if (slot.job) {
+        failJob(slot, `Worker crashed: ${error.message}`);
+        return;
+      }
+      slot.worker.removeAllListeners();
+      slot.worker.terminate();
+      spawn(slot);
+    });
+  };
+
+  for (let i = 0; i < size; i++) {
+    const slot = {};
+    spawn(slot);
+    slots.push(slot);
+  }
+
+  return {
+    // Resolves with the worker's result message; failures are results too
+    run: (task) => new Promise(resolve => {
+      queue.push({ task, resolve, attempt: 0 });
+      next();
+    }),
+    close: () => Promise.all(slots.map(s => {
+      clearTimeout(s.timer);
+      return s.worker.terminate();
+    }))
+  };
+};
@@ -0,0 +1,23 @@
+import { parentPort } from 'node:worker_threads';
+import { transpileFile } from '../src/lib/transpile.js';
+import { parseBabelError } from '../src/lib/errors.js';
+
+// --- Node Transpile Worker ---
+// The worker_threads counterpart of src/workers/transpile.worker.js. Tasks arrive with their
+// text already read; results have the same shape as the browser worker's.
+
+let fileIndex = null;
+
+parentPort.on('message', async (message) => {
+  if (message.type === 'index') {
+    fileIndex = { files: message.files, aliases: message.aliases || null };
+    return;
+  }
+
+  const { id, filename } = message;
+  try {
+    parentPort.postMessage({ success: true, id, ...await transpileFile(message, fileIndex) });
+  } catch (error) {
+    parentPort.postMessage({ success: false, id, error: parseBabelError(error, filename) });
+  }
+});
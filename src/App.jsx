@@ -4,141 +4,251 @@ import {
   FolderOpen, 
   FileCode, 
   Trash2, 
-  Eye, 
-  X, 
   CheckCircle, 
   AlertCircle, 
   Loader2, 
   Download, 
   FileJson,
   RotateCw,
-  Copy,
-  File
+  File,
+  HardDrive,
+  FolderSync,
+  List,
+  FolderTree,
+  Code2
 } from 'lucide-react';
+import { saveAs } from 'file-saver';
+import OptionsPanel from './components/OptionsPanel.jsx';
+import PreviewModal from './components/PreviewModal.jsx';
+import ErrorsPanel from './components/ErrorsPanel.jsx';
+import ImportPreview from './components/ImportPreview.jsx';
+import WatchPanel from './components/WatchPanel.jsx';
+import SessionsPanel from './components/SessionsPanel.jsx';
+import FileList from './components/FileList.jsx';
+import ListToolbar from './components/ListToolbar.jsx';
+import SizeReport from './components/SizeReport.jsx';
+import Playground from './components/Playground.jsx';
+import { DEFAULT_OPTIONS, loadOptions, saveOptions, effectiveOptions } from './lib/options.js';
+import { createScriptRecord, createAssetRecord, readSource, classifyFiles, uploadPath, projectRoot, isDeclaration } from './lib/projectFiles.js';
+import { fileIndexOf, createTask, applyResult, programSources, prepassSources, applyProgramJob, collectOutputs, createZip } from './lib/pipeline.js';
+import { buildTsCompilerOptions } from './lib/tsProgram.js';
+import { loadProjectConfig } from './lib/tsconfig.js';
+import { usesDecorators } from './lib/legacyDecorators.js';
+import { isArchive, extractArchive } from './lib/archives.js';
+import { CONFLICT_POLICIES, supportsDirectoryAccess, pickDirectory, readDirectory, writeEntries, deleteEntries } from './lib/fsAccess.js';
+import { WATCH_INTERVAL, snapshotOf, diffSnapshots, appendLog } from './lib/watch.js';
+import { createPathFilter } from './lib/glob.js';
+import { AUTOSAVE, AUTOSAVE_INTERVAL, createSession, saveSession, loadSession, deleteSession, listSessions } from './lib/sessions.js';
+import { HASH_CHUNK_SIZE, hashText, cacheKey, getCached, putCached, clearCache } from './lib/cache.js';
+import { typeErrorsOf } from './lib/errors.js';
+import { DEFAULT_FILTER, createFileFilter, listExtensions } from './lib/fileFilters.js';
+import { PLAYGROUND_DELAY, PLAYGROUND_ID_PREFIX, PLAYGROUND_FILES, DEFAULT_SNIPPET, isPlaygroundId, isPlaygroundHash, playgroundRecord, encodeState, decodeState } from './lib/playground.js';
 
-// --- Worker Code as Constant ---
-const WORKER_CODE = `
-importScripts('https://cdnjs.cloudflare.com/ajax/libs/babel-standalone/7.23.5/babel.min.js');
+// How long worker results are collected before they're applied in one update (ms)
+const RESULT_FLUSH_INTERVAL = 100;
 
-self.onmessage = function(e) {
-    const { content, filename, id, options } = e.data;
-    
-    try {
-        const output = Babel.transform(content, options || {
-            filename: filename,
-            presets: [
-                ['env', { targets: { esmodules: true }, modules: false }],
-                'react',
-                'typescript'
-            ],
-            sourceMaps: false
-        }).code;
-
-        self.postMessage({ success: true, id, content: output });
-    } catch (error) {
-        const cleanError = error.message.replace(filename + ': ', '');
-        self.postMessage({ success: false, id, error: cleanError });
-    }
+// Reads uploaded scripts a chunk at a time, only to spot decorators before anything is converted.
+// Resolves with the ids of the records that use them.
+const findDecorated = async (records) => {
+  const ids = new Set();
+  for (let i = 0; i < records.length; i += HASH_CHUNK_SIZE) {
+    const chunk = records.slice(i, i + HASH_CHUNK_SIZE);
+    const texts = await Promise.all(chunk.map(record => readSource(record).catch(() => '')));
+    chunk.forEach((record, j) => { if (usesDecorators(texts[j])) ids.add(record.id); });
+  }
+  return ids;
+};
+
+const PROGRAM_JOB_LABELS = {
+  prepass: 'Project pre-pass',
+  typecheck: 'Type-check',
+  declarations: 'Declaration emit'
 };
-`;
 
 const App = () => {
   // --- State ---
   const [files, setFiles] = useState([]);
-  const [uploadMode, setUploadMode] = useState('file'); // 'file' | 'folder'
+  // A shared playground link opens in the playground
+  const [uploadMode, setUploadMode] = useState(() => (isPlaygroundHash(window.location.hash) ? 'playground' : 'file')); // 'file' | 'folder' | 'playground'
   const [isProcessing, setIsProcessing] = useState(false);
   const [progress, setProgress] = useState({ current: 0, total: 0 });
   const [activeWorkers, setActiveWorkers] = useState(0);
   const [previewFile, setPreviewFile] = useState(null);
   const [toast, setToast] = useState({ show: false, msg: '', type: 'success' });
-  const [scriptsLoaded, setScriptsLoaded] = useState(false);
+  const [options, setOptions] = useState(loadOptions);
+  const [pendingImport, setPendingImport] = useState(null); // File[] awaiting review
+  const [projectConfig, setProjectConfig] = useState(null); // Mapped tsconfig.json, if the upload had one
+  const [isWriting, setIsWriting] = useState(false);
+  const [archiveName, setArchiveName] = useState(null); // Root folder of an imported archive, reused for the download
+  const [watch, setWatch] = useState(null); // { name, active, writeBack } for a folder opened by handle
+  const [watchLog, setWatchLog] = useState([]);
+  const [cacheStats, setCacheStats] = useState({ hits: 0, misses: 0 });
+  const [sessions, setSessions] = useState([]); // Named sessions: { name, savedAt, fileCount }
+  const [sessionName, setSessionName] = useState(null); // Named session the current state came from
+  const [restoreOffer, setRestoreOffer] = useState(null); // Autosaved session found on load
+  const [sessionReady, setSessionReady] = useState(false); // Autosave stays off until the offer is answered
+  const [listView, setListView] = useState('list'); // 'list' | 'tree'
+  const [filter, setFilter] = useState(DEFAULT_FILTER);
+  const [selected, setSelected] = useState(() => new Set()); // ids checked in the file list
+  const [playgroundSource, setPlaygroundSource] = useState(() => (isPlaygroundHash(window.location.hash) ? null : DEFAULT_SNIPPET)); // null until a shared link is decoded
+  const [playgroundFile, setPlaygroundFile] = useState(PLAYGROUND_FILES[0]);
+  const [playgroundResult, setPlaygroundResult] = useState(null); // record for the latest snippet, like a file's
+  const [playgroundOptions, setPlaygroundOptions] = useState(null); // a shared link's options, never saved; null = the user's own
 
   // --- Refs for Mutable Logic ---
   const workersRef = useRef([]);
   const queueRef = useRef([]);
   const fileInputRef = useRef(null);
   const folderInputRef = useRef(null);
+  const watchRef = useRef(null); // { handle, snapshot, written, scanning } behind `watch`
+  const rebuildRef = useRef(null); // { ids, started } of the watch rebuild in flight
+  const pollRef = useRef(null);
+  const cacheKeysRef = useRef(new Map()); // task id → cache key, for results still in flight
+  const indexMessageRef = useRef(null); // last file index sent, replayed to respawned workers
+  const lastAutosaveRef = useRef(0);
+  const pendingResultsRef = useRef(new Map()); // worker results waiting for the next flush
+  const flushTimerRef = useRef(null);
+  const playgroundRef = useRef(null); // record of the snippet whose result is awaited
+  const playgroundRunRef = useRef(null);
+  const prepassRef = useRef(null); // { id, resolve, sources } of the project pre-pass a batch is waiting on
+  const prepassSummariesRef = useRef(new Map()); // path → { source, summary } from earlier pre-passes
+  const prepassContextsRef = useRef(new Map()); // path → the pre-pass context (JSON) its current output was built with
+  const batchRef = useRef(0); // bumped by cancel/clear; batches still being prepared then drop themselves
 
   // --- Initialization ---
 
-  // Load External Scripts (Babel/JSZip are large, loading from CDN)
-  useEffect(() => {
-    const loadScript = (src) => {
-      return new Promise((resolve, reject) => {
-        if (document.querySelector(`script[src="${src}"]`)) {
-          resolve();
-          return;
-        }
-        const script = document.createElement('script');
-        script.src = src;
-        script.onload = resolve;
-        script.onerror = reject;
-        document.head.appendChild(script);
-      });
-    };
+  // Declared before the worker callbacks and effects that use them
+  const showToast = (msg, type = 'success') => {
+    setToast({ show: true, msg, type });
+    setTimeout(() => setToast(prev => ({ ...prev, show: false })), 3000);
+  };
 
-    Promise.all([
-      loadScript('https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js'),
-      loadScript('https://cdnjs.cloudflare.com/ajax/libs/FileSaver.js/2.0.5/FileSaver.min.js')
-    ]).then(() => setScriptsLoaded(true))
-      .catch(() => showToast('Failed to load required libraries', 'error'));
+  const terminateWorkers = () => {
+    workersRef.current.forEach(w => {
+      clearTimeout(w.timer);
+      w.worker.terminate();
+    });
+    workersRef.current = [];
+    setActiveWorkers(0);
+  };
 
+  // Tear down the worker pool on unmount
+  useEffect(() => {
     return () => terminateWorkers();
   }, []);
 
-  // Initialize Workers
-  const initWorkers = useCallback(() => {
-    if (workersRef.current.length > 0) return;
-
-    const blob = new Blob([WORKER_CODE], { type: 'text/javascript' });
-    const url = URL.createObjectURL(blob);
-    const concurrency = navigator.hardwareConcurrency || 4;
+  // Persist transpile options across sessions
+  useEffect(() => {
+    saveOptions(options);
+  }, [options]);
 
-    for (let i = 0; i < concurrency; i++) {
-      const w = new Worker(url);
-      w.onmessage = handleWorkerMessage;
-      workersRef.current.push({ worker: w, busy: false, id: i });
-    }
+  // Look for an autosaved session to offer back, and the named ones
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([loadSession(AUTOSAVE), listSessions()]).then(([autosave, saved]) => {
+      if (cancelled) return;
+      setSessions(saved);
+      if (autosave && autosave.files.length > 0) setRestoreOffer(autosave);
+      else setSessionReady(true);
+    });
+    return () => { cancelled = true; };
   }, []);
 
-  const terminateWorkers = () => {
-    workersRef.current.forEach(w => w.worker.terminate());
-    workersRef.current = [];
-    setActiveWorkers(0);
-  };
+  // Autosave the session. Conversions update `files` constantly, so this is a throttle rather
+  // than a debounce: at most one save per AUTOSAVE_INTERVAL.
+  useEffect(() => {
+    if (!sessionReady) return;
+    const delay = Math.max(0, lastAutosaveRef.current + AUTOSAVE_INTERVAL - Date.now());
+    const timer = setTimeout(() => {
+      lastAutosaveRef.current = Date.now();
+      const session = { ...createSession(AUTOSAVE, { files, options, projectConfig, archiveName, uploadMode }), current: sessionName };
+      (files.length > 0 ? saveSession(session) : deleteSession(AUTOSAVE)).catch(() => {
+        // Quota exceeded or storage disabled - the session just won't survive a reload
+      });
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [sessionReady, files, options, projectConfig, archiveName, uploadMode, sessionName]);
 
   // --- Worker Logic ---
 
   const handleWorkerMessage = (e) => {
-    const { id, success, content, error } = e.data;
-
-    setFiles(prev => prev.map(f => {
-      if (f.id === id) {
-        return { 
-          ...f, 
-          content: success ? content : null, 
-          error: success ? null : error, 
-          status: 'complete' 
-        };
+    const { id, success, content, map, typeLines, notes, error } = e.data;
+
+    if (e.data.type === 'prepass') {
+      // A batch that was cancelled meanwhile has dropped its ref, so a late result goes nowhere
+      if (id === prepassRef.current?.id) {
+        if (success) {
+          // Keep every summary for the next run, paired with the source it was made from
+          const known = prepassSummariesRef.current;
+          prepassSummariesRef.current = new Map(Object.entries(prepassRef.current.sources).map(([path, source]) => [
+            path,
+            { source, summary: path in e.data.summaries ? e.data.summaries[path] : known.get(path).summary }
+          ]));
+        } else {
+          showToast(`Project pre-pass failed: ${error}`, 'error');
+        }
+        prepassRef.current.resolve(success ? e.data.outputs : {});
+        prepassRef.current = null;
       }
-      return f;
-    }));
+    } else if (e.data.type === 'declarations') {
+      if (success) {
+        const { outputs } = e.data;
+        setFiles(prev => applyProgramJob(prev, 'declarations', outputs));
+      } else {
+        showToast(`Declaration emit failed: ${error}`, 'error');
+      }
+    } else if (e.data.type === 'typecheck') {
+      if (success) {
+        const { outputs } = e.data;
+        setFiles(prev => applyProgramJob(prev, 'typecheck', outputs));
+        if (outputs[''].length > 0) showToast(`Type-check: ${outputs[''][0].message}`, 'error');
+      } else {
+        showToast(`Type-check failed: ${error}`, 'error');
+      }
+    } else if (isPlaygroundId(id)) {
+      // Only the latest snippet's result is shown; the record is kept in a ref for that reason
+      if (id === playgroundRef.current?.id) setPlaygroundResult(applyResult(playgroundRef.current, e.data));
+    } else {
+      const key = cacheKeysRef.current.get(id);
+      cacheKeysRef.current.delete(id);
+      if (key && success) putCached(key, { content, map, typeLines, notes });
+
+      // Results are applied in batches; one setFiles per message is too slow for big projects
+      pendingResultsRef.current.set(id, e.data);
+      if (!flushTimerRef.current) flushTimerRef.current = setTimeout(flushResults, RESULT_FLUSH_INTERVAL);
+    }
 
     // Free up worker
     const workerObj = workersRef.current.find(w => w.busy && w.currentId === id);
     if (workerObj) {
+      clearTimeout(workerObj.timer);
       workerObj.busy = false;
       workerObj.currentId = null;
+      workerObj.task = null;
       setActiveWorkers(prev => prev - 1);
     }
 
-    setProgress(prev => ({ ...prev, current: prev.current + 1 }));
+    // File results count toward progress when they're flushed
+    if (e.data.type) setProgress(prev => ({ ...prev, current: prev.current + 1 }));
     processQueue();
   };
 
+  const flushResults = () => {
+    clearTimeout(flushTimerRef.current);
+    flushTimerRef.current = null;
+    const results = pendingResultsRef.current;
+    if (results.size === 0) return;
+    pendingResultsRef.current = new Map();
+
+    setFiles(prev => prev.map(f => (results.has(f.id) ? applyResult(f, results.get(f.id)) : f)));
+    setProgress(prev => ({ ...prev, current: prev.current + results.size }));
+  };
+
   const processQueue = () => {
     if (queueRef.current.length === 0) {
       if (workersRef.current.every(w => !w.busy)) {
+        // Land the last results in the same render that ends the batch
+        flushResults();
         setIsProcessing(false);
       }
       return;
@@ -149,159 +259,750 @@ const App = () => {
       const task = queueRef.current.shift();
       freeWorker.busy = true;
       freeWorker.currentId = task.id;
+      freeWorker.task = task;
       setActiveWorkers(prev => prev + 1);
 
-      freeWorker.worker.postMessage({
-        content: task.content,
-        filename: task.filename,
-        id: task.id
-      });
+      freeWorker.worker.postMessage(task);
+      if (task.timeout > 0) {
+        freeWorker.timer = setTimeout(() => failTask(freeWorker, `Timed out after ${task.timeout / 1000}s`), task.timeout);
+      }
       
       // Try to assign next task to another free worker
       processQueue();
     }
   };
 
-  // --- File Handling ---
+  // Workers live in pool slots so a hung or crashed one can be replaced in place
+  const spawnWorker = (slot) => {
+    const w = new Worker(new URL('./workers/transpile.worker.js', import.meta.url), { type: 'module' });
+    w.onmessage = handleWorkerMessage;
+    w.onerror = (e) => {
+      e.preventDefault();
+      // Errors outside a task (e.g. the script failing to load) would just crash the replacement too
+      if (slot.task) failTask(slot, `Worker crashed: ${e.message || 'unknown error'}`);
+    };
+    // A fresh worker has no file index yet
+    if (indexMessageRef.current) w.postMessage(indexMessageRef.current);
+    slot.worker = w;
+  };
 
-  const handleFiles = useCallback((fileList) => {
-    if (!fileList || fileList.length === 0) return;
-    
-    // Ensure workers exist
+  const reportFailure = (task, reason) => {
+    if (isPlaygroundId(task.id)) {
+      if (task.id === playgroundRef.current?.id) {
+        setPlaygroundResult(applyResult(playgroundRef.current, {
+          success: false,
+          error: { message: reason, line: null, column: null, codeFrame: null, hint: null }
+        }));
+      }
+      return;
+    }
+    if (task.type) {
+      showToast(`${PROGRAM_JOB_LABELS[task.type]} failed: ${reason}`, 'error');
+      // The batch goes ahead without what the pre-pass would have found
+      if (task.id === prepassRef.current?.id) {
+        prepassRef.current.resolve({});
+        prepassRef.current = null;
+      }
+      return;
+    }
+    const attempts = (task.attempt || 0) + 1;
+    const message = attempts > 1 ? `${reason} (${attempts} attempts)` : reason;
+    setFiles(prev => prev.map(f => (f.id === task.id ? {
+      ...f,
+      content: null,
+      map: null,
+      error: message,
+      errorDetail: {
+        message,
+        line: null,
+        column: null,
+        codeFrame: null,
+        hint: reason.startsWith('Timed out') ? 'Raise the per-file timeout under Options if this file is just large.' : null
+      },
+      status: 'complete'
+    } : f)));
+  };
+
+  // Gives up on a slot's current task: the worker is replaced and the task retried or reported
+  const failTask = (slot, reason) => {
+    const task = slot.task;
+    clearTimeout(slot.timer);
+    slot.worker.terminate();
+    spawnWorker(slot);
+    slot.busy = false;
+    slot.currentId = null;
+    slot.task = null;
+    setActiveWorkers(prev => prev - 1);
+
+    if ((task.attempt || 0) < task.retries) {
+      queueRef.current.unshift({ ...task, attempt: (task.attempt || 0) + 1 });
+    } else {
+      cacheKeysRef.current.delete(task.id);
+      reportFailure(task, reason);
+      if (!isPlaygroundId(task.id)) setProgress(prev => ({ ...prev, current: prev.current + 1 }));
+    }
+    processQueue();
+  };
+
+  // Initialize Workers
+  const initWorkers = useCallback(() => {
+    if (workersRef.current.length > 0) return;
+
+    const concurrency = navigator.hardwareConcurrency || 4;
+
+    for (let i = 0; i < concurrency; i++) {
+      const slot = { busy: false, id: i, currentId: null, task: null, timer: null };
+      spawnWorker(slot);
+      workersRef.current.push(slot);
+    }
+  }, []);
+
+  // --- Project Pre-pass ---
+
+  // Runs ahead of anything queued; resolves with resolveProject()'s result, or {} if it failed.
+  // Only files that changed since the last run are read and parsed again.
+  const runPrepass = (allFiles, settings) => new Promise(resolve => {
+    const id = `prepass-${Date.now()}`;
+    const sources = prepassSources(allFiles);
+    const known = prepassSummariesRef.current;
+    const files = {};
+    const summaries = {};
+    Object.entries(sources).forEach(([path, source]) => {
+      if (known.get(path)?.source === source) summaries[path] = known.get(path).summary;
+      else files[path] = source;
+    });
+
+    prepassRef.current = { id, resolve, sources };
+    queueRef.current.unshift({
+      type: 'prepass',
+      id,
+      files,
+      summaries,
+      aliases: settings.useTsconfig ? projectConfig?.aliases || null : null,
+      timeout: 0,
+      retries: settings.taskRetries
+    });
+    processQueue();
+  });
+
+  // --- Playground ---
+
+  // Converts the snippet ahead of any queued files. A snippet still waiting in the queue is
+  // dropped; one already running finishes, but its result is ignored.
+  const runPlayground = () => {
     if (workersRef.current.length === 0) initWorkers();
+    const settings = effectiveOptions(playgroundOptions ?? options, null);
+    const record = playgroundRecord(`${PLAYGROUND_ID_PREFIX}${Date.now()}`, playgroundSource, playgroundFile, settings.sourceMaps);
+    playgroundRef.current = record;
+    // The last output stays up until the new one arrives
+    setPlaygroundResult(prev => ({ ...record, content: prev?.content ?? null, errorDetail: prev?.errorDetail ?? null }));
 
-    const validFiles = Array.from(fileList).filter(f => 
-      f.name.match(/\.(ts|tsx|jsx|js)$/) && !f.name.includes('.d.ts')
-    );
+    const task = {
+      ...createTask(record, settings),
+      rewrite: null,
+      timeout: settings.taskTimeout * 1000,
+      retries: 0
+    };
+    queueRef.current = [task, ...queueRef.current.filter(t => !isPlaygroundId(t.id))];
+    processQueue();
+  };
 
-    if (validFiles.length === 0) {
-      showToast('No valid TS/JS files found', 'error');
-      return;
+  const handleSharePlayground = async () => {
+    const hash = await encodeState({ source: playgroundSource, filename: playgroundFile, options: playgroundOptions ?? options });
+    window.history.replaceState(null, '', hash);
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      showToast('Playground link copied');
+    } catch {
+      showToast('Could not copy the link; it is in the address bar', 'error');
     }
+  };
 
-    // Chunked reading to prevent UI freeze
-    let readIndex = 0;
-    const CHUNK_SIZE = 20;
+  // --- File Handling ---
 
-    const readNextChunk = () => {
-      const chunk = validFiles.slice(readIndex, readIndex + CHUNK_SIZE);
-      
-      chunk.forEach(file => {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const content = e.target.result;
-            const path = file.webkitRelativePath || file.name;
-            
-            let newName = file.name;
-            let newPath = path;
-            
-            if (file.name.endsWith('.ts')) { newName = file.name.replace('.ts', '.js'); newPath = path.replace(/\.ts$/, '.js'); }
-            else if (file.name.endsWith('.tsx')) { newName = file.name.replace('.tsx', '.js'); newPath = path.replace(/\.tsx$/, '.js'); }
-            else if (file.name.endsWith('.jsx')) { newName = file.name.replace('.jsx', '.js'); newPath = path.replace(/\.jsx$/, '.js'); }
+  // Every selection goes through the import preview so globs and pass-through can be reviewed
+  const handleFiles = useCallback(async (fileList) => {
+    if (!fileList || fileList.length === 0) return;
+    let list = Array.from(fileList);
 
-            const id = Date.now() + Math.random().toString(36).substr(2, 9);
-            
-            // Add to UI state with 'idle' status and store inputContent
-            setFiles(prev => [...prev, {
-                id,
-                originalName: file.name,
-                newName,
-                originalPath: path,
-                newPath,
-                inputContent: content, // Store source for later processing
-                content: null,
-                status: 'idle',
-                error: null
-            }]);
-        };
-        reader.readAsText(file);
-      });
+    // Archives are unpacked into folder-upload style files; the first one names the download
+    const archives = list.filter(isArchive);
+    if (archives.length > 0) {
+      try {
+        const extracted = await Promise.all(archives.map(extractArchive));
+        list = [...list.filter(f => !isArchive(f)), ...extracted.flatMap(a => a.files)];
+        setArchiveName(name => name || extracted[0].root);
+      } catch {
+        showToast('Could not read archive', 'error');
+        return;
+      }
+    }
 
-      readIndex += CHUNK_SIZE;
-      if (readIndex < validFiles.length) {
-        setTimeout(readNextChunk, 50);
+    try {
+      const config = await loadProjectConfig(list);
+      if (config) {
+        setProjectConfig(config);
+        showToast(`Using ${config.path}`);
       }
-    };
+    } catch {
+      showToast('Could not parse tsconfig.json', 'error');
+    }
+
+    setPendingImport(list);
+  }, []);
+
+  const importFiles = useCallback(({ scripts, assets }) => {
+    setPendingImport(null);
+
+    // Ensure workers exist
+    if (workersRef.current.length === 0) initWorkers();
 
-    readNextChunk();
+    if (scripts.length === 0 && assets.length === 0) {
+      showToast('No valid TS/JS files found', 'error');
+      return;
+    }
+
+    // One state update for the whole import; script text is only kept once a file is queued.
+    // Non-script files are copied as-is, so they never touch the worker pool.
+    const records = scripts.map(({ file, path }) => createScriptRecord(file, path));
+    setFiles(prev => [
+      ...prev,
+      ...records,
+      ...assets.map(({ file, path }) => createAssetRecord(file, path))
+    ]);
+
+    // Flags files for the "no decorator mode" warning without holding on to their text
+    findDecorated(records).then(ids => {
+      if (ids.size > 0) setFiles(prev => prev.map(f => (ids.has(f.id) ? { ...f, usesDecorators: true } : f)));
+    });
   }, [initWorkers]);
 
-  const handleConvert = () => {
-    const idleFiles = files.filter(f => f.status === 'idle');
-    if (idleFiles.length === 0) return;
+  // Queues `targets` (script records) for conversion; `allFiles` is the project they belong to
+  const queueConversion = async (targets, allFiles) => {
+    const settings = effectiveOptions(options, projectConfig);
+    // Cancel may be pressed while the batch waits on the pre-pass or the cache; nothing is queued then
+    const batch = batchRef.current;
+    const dropped = () => batch !== batchRef.current;
 
     setIsProcessing(true);
-    // Reset or add to progress
+    // Reset or add to progress (the pre-pass, type-check and declaration jobs count as one task each)
     setProgress(prev => ({ 
       current: prev.current, 
-      total: prev.total + idleFiles.length 
+      total: prev.total + targets.length + (settings.projectPrepass ? 1 : 0) + (settings.typeCheck ? 1 : 0) + (settings.declarations ? 1 : 0)
     }));
 
-    // Add to queue
-    idleFiles.forEach(f => {
-      queueRef.current.push({ 
-        id: f.id, 
-        content: f.inputContent, 
-        filename: f.originalName 
+    // Update status in UI
+    const queued = new Set(targets.map(f => f.id));
+    setFiles(prev => prev.map(f => queued.has(f.id) ? { ...f, status: 'pending', sourceMaps: settings.sourceMaps } : f));
+
+    // Share the full file set so workers can resolve relative imports and tsconfig aliases
+    const index = fileIndexOf(allFiles, settings, projectConfig);
+    if (index) {
+      indexMessageRef.current = { type: 'index', ...index };
+      workersRef.current.forEach(w => w.worker.postMessage(indexMessageRef.current));
+    }
+
+    // Const enum values and type-only exports from across the project, for each file's transform
+    const prepass = settings.projectPrepass ? await runPrepass(allFiles, settings) : null;
+    if (dropped()) return;
+
+    // Converted files whose context changed (an enum value, a type-only export elsewhere) are stale
+    // now. They go along with this batch, and a watch rebuild writes them back too.
+    const stale = prepass
+      ? allFiles.filter(f => f.kind !== 'asset' && !queued.has(f.id) && f.status === 'complete'
+        && prepassContextsRef.current.has(f.originalPath)
+        && prepassContextsRef.current.get(f.originalPath) !== JSON.stringify(prepass[f.originalPath] || null))
+      : [];
+    if (stale.length > 0) {
+      const staleIds = new Set(stale.map(f => f.id));
+      setFiles(prev => prev.map(f => (staleIds.has(f.id) ? { ...f, status: 'pending', sourceMaps: settings.sourceMaps } : f)));
+      setProgress(prev => ({ ...prev, total: prev.total + stale.length }));
+      stale.forEach(f => rebuildRef.current?.ids.add(f.id));
+    }
+    const batchFiles = [...targets, ...stale];
+
+    let tasks = batchFiles.map(f => ({ 
+      ...createTask(f, settings, prepass),
+      timeout: settings.taskTimeout * 1000,
+      retries: settings.taskRetries
+    }));
+    tasks.forEach((task, i) => prepassContextsRef.current.set(batchFiles[i].originalPath, JSON.stringify(task.prepass)));
+
+    // Unchanged sources complete straight from the cache; misses remember their key for the result
+    if (settings.cacheResults) {
+      const context = index ? await hashText(JSON.stringify([index.files, index.aliases])) : null;
+      if (dropped()) return;
+      // Sources are read only to be hashed, a chunk at a time, so big projects don't pile up in memory
+      const keys = [];
+      for (let i = 0; i < batchFiles.length; i += HASH_CHUNK_SIZE) {
+        const chunk = batchFiles.slice(i, i + HASH_CHUNK_SIZE);
+        const texts = await Promise.all(chunk.map(readSource));
+        if (dropped()) return;
+        keys.push(...await Promise.all(texts.map((content, j) => cacheKey({ ...tasks[i + j], content }, context))));
+        if (dropped()) return;
+      }
+      const cached = await getCached(keys);
+      if (dropped()) return;
+      const hits = new Map();
+      tasks = tasks.filter((task, i) => {
+        if (cached.has(keys[i])) {
+          hits.set(task.id, cached.get(keys[i]));
+          return false;
+        }
+        cacheKeysRef.current.set(task.id, keys[i]);
+        return true;
       });
-    });
 
-    // Update status in UI
-    setFiles(prev => prev.map(f => f.status === 'idle' ? { ...f, status: 'pending' } : f));
+      if (hits.size > 0) {
+        setFiles(prev => prev.map(f => (hits.has(f.id) ? applyResult(f, { success: true, ...hits.get(f.id) }) : f)));
+        setProgress(prev => ({ ...prev, current: prev.current + hits.size }));
+      }
+      setCacheStats(prev => ({ hits: prev.hits + hits.size, misses: prev.misses + tasks.length }));
+    }
+
+    // Add to queue
+    queueRef.current.push(...tasks);
+
+    const programJobs = [
+      settings.typeCheck && 'typecheck',
+      settings.declarations && 'declarations'
+    ].filter(Boolean);
+
+    // Project-wide TypeScript jobs go last, after the per-file tasks
+    if (programJobs.length > 0) {
+      const sources = programSources(allFiles);
+      const compilerOptions = buildTsCompilerOptions(settings, projectConfig);
+
+      programJobs.forEach(type => queueRef.current.push({
+        type,
+        id: `${type}-${Date.now()}`,
+        files: sources,
+        compilerOptions,
+        // Whole-project jobs have no per-file budget, but still get retried after a crash
+        timeout: 0,
+        retries: settings.taskRetries
+      }));
+    }
 
     // Start
     processQueue();
   };
 
+  const handleConvert = () => {
+    const idleFiles = files.filter(f => f.status === 'idle');
+    if (idleFiles.length === 0) return;
+    queueConversion(idleFiles, files);
+  };
+
   // --- Actions ---
 
-  const handleDownloadZip = async () => {
-    if (!window.JSZip) return;
-    
-    const zip = new window.JSZip();
-    let addedCount = 0;
+  // Outputs of `subset` for a download or folder write, or null (with a toast) when there's nothing to export
+  const exportOutputs = (subset = files) => {
+    const { outputs, blocked } = collectOutputs(files, effectiveOptions(options, projectConfig), subset);
+    if (blocked > 0) {
+      showToast(`Export blocked: ${blocked} files have type errors`, 'error');
+      return null;
+    }
+    if (outputs.length === 0) {
+      showToast('No valid files to export', 'error');
+      return null;
+    }
+    return outputs;
+  };
 
-    files.forEach(file => {
-      if (!file.error && file.content) {
-        zip.file(file.newPath, file.content);
-        addedCount++;
-      }
+  const handleDownloadZip = async (subset = files, suffix = '') => {
+    const outputs = exportOutputs(subset);
+    if (!outputs) return;
+
+    const blob = await createZip(outputs).generateAsync({type: "blob"});
+    saveAs(blob, `${archiveName || 'converted_project'}${suffix}.zip`);
+    showToast('Download started!');
+  };
+
+  const handleWriteToFolder = async () => {
+    const outputs = exportOutputs();
+    if (!outputs) return;
+
+    const handle = await pickDirectory().catch(() => {
+      showToast('Could not open that folder for writing', 'error');
+      return null;
     });
+    if (!handle) return;
 
-    if (addedCount === 0) {
-      showToast('No valid files to zip', 'error');
-      return;
+    setIsWriting(true);
+    const root = projectRoot(files);
+    const results = await writeEntries(handle, outputs, { conflict: options.writeConflicts, root });
+    const count = (outcome) => results.filter(r => r.outcome === outcome).length;
+
+    // Only sources whose output actually landed on disk (and that aren't their own output) go
+    let deleted = 0;
+    if (options.deleteOriginals) {
+      const sources = results
+        .filter(r => r.source && r.source !== r.path && (r.outcome === 'written' || r.outcome === 'renamed'))
+        .map(r => r.source);
+      if (sources.length > 0 && window.confirm(`Delete ${sources.length} original source files from "${handle.name}"?`)) {
+        deleted = await deleteEntries(handle, sources, root);
+      }
     }
+    setIsWriting(false);
 
-    const blob = await zip.generateAsync({type: "blob"});
-    window.saveAs(blob, "converted_project.zip");
-    showToast('Download started!');
+    const summary = [
+      `Wrote ${count('written') + count('renamed')} files to ${handle.name}`,
+      count('renamed') > 0 && `${count('renamed')} renamed`,
+      count('skipped') > 0 && `${count('skipped')} skipped`,
+      deleted > 0 && `${deleted} originals deleted`
+    ].filter(Boolean).join(', ');
+    if (count('failed') > 0) showToast(`${summary}; ${count('failed')} failed`, 'error');
+    else showToast(summary);
+  };
+
+  // Stops the batch but keeps everything already converted; unfinished files go back to idle
+  const handleCancel = () => {
+    flushResults();
+    queueRef.current = [];
+    // Batches still being prepared drop themselves; one waiting on the pre-pass is let go now
+    batchRef.current++;
+    prepassRef.current?.resolve(null);
+    prepassRef.current = null;
+
+    workersRef.current.forEach(slot => {
+      if (!slot.busy) return;
+      clearTimeout(slot.timer);
+      slot.worker.terminate();
+      spawnWorker(slot);
+      slot.busy = false;
+      slot.currentId = null;
+      slot.task = null;
+    });
+
+    cacheKeysRef.current.clear();
+    rebuildRef.current = null;
+    setActiveWorkers(0);
+    // Every pending file was queued, running or in a batch being prepared, and all of that is gone
+    setFiles(prev => prev.map(f => (f.status === 'pending' ? { ...f, status: 'idle' } : f)));
+    setProgress({ current: 0, total: 0 });
+    setIsProcessing(false);
+    showToast('Conversion cancelled');
   };
 
   const handleClear = () => {
     // Terminate pending work
     queueRef.current = [];
+    batchRef.current++;
+    prepassRef.current?.resolve(null);
+    cacheKeysRef.current.clear();
+    indexMessageRef.current = null;
+    prepassRef.current = null;
+    prepassSummariesRef.current = new Map();
+    prepassContextsRef.current = new Map();
+    clearTimeout(flushTimerRef.current);
+    flushTimerRef.current = null;
+    pendingResultsRef.current = new Map();
     terminateWorkers(); 
     initWorkers(); // Restart fresh
     setFiles([]);
+    setSelected(new Set());
+    setProjectConfig(null);
+    setArchiveName(null);
+    setSessionName(null);
+    closeDirectory();
     setProgress({ current: 0, total: 0 });
     setIsProcessing(false);
   };
 
+  const handleClearCache = async () => {
+    try {
+      await clearCache();
+      setCacheStats({ hits: 0, misses: 0 });
+      showToast('Cache cleared');
+    } catch {
+      showToast('Could not clear the cache', 'error');
+    }
+  };
+
+  // --- Sessions ---
+
+  const applySession = (session) => {
+    if (workersRef.current.length === 0) initWorkers();
+    closeDirectory();
+    setPreviewFile(null);
+    // Other files under the same paths; nothing from earlier pre-passes applies to them
+    prepassSummariesRef.current = new Map();
+    prepassContextsRef.current = new Map();
+    setFiles(session.files);
+    setSelected(new Set());
+    setOptions({ ...DEFAULT_OPTIONS, ...session.options });
+    setProjectConfig(session.projectConfig);
+    setArchiveName(session.archiveName);
+    setUploadMode(session.uploadMode || 'file');
+    setProgress({ current: 0, total: 0 });
+    setCacheStats({ hits: 0, misses: 0 });
+  };
+
+  const answerRestoreOffer = (restore) => {
+    if (restore) {
+      applySession(restoreOffer);
+      setSessionName(restoreOffer.current || null);
+    }
+    setRestoreOffer(null);
+    setSessionReady(true);
+  };
+
+  const handleSaveSession = async (name) => {
+    try {
+      await saveSession(createSession(name, { files, options, projectConfig, archiveName, uploadMode }));
+      setSessions(await listSessions());
+      setSessionName(name);
+      showToast(`Saved session "${name}"`);
+    } catch {
+      showToast('Could not save the session', 'error');
+    }
+  };
+
+  const handleLoadSession = async (name) => {
+    const session = await loadSession(name);
+    if (!session) {
+      showToast(`Session "${name}" could not be loaded`, 'error');
+      return;
+    }
+    applySession(session);
+    setSessionName(name);
+    showToast(`Opened session "${name}"`);
+  };
+
+  const handleDeleteSession = async (name) => {
+    try {
+      await deleteSession(name);
+      setSessions(await listSessions());
+      if (name === sessionName) setSessionName(null);
+    } catch {
+      showToast('Could not delete the session', 'error');
+    }
+  };
+
+  // Sources are read lazily, so the preview loads the original text on open
+  const openPreview = async (file) => {
+    setPreviewFile({ ...file, inputContent: await readSource(file) });
+  };
+
   const removeFile = (id) => {
     setFiles(prev => prev.filter(f => f.id !== id));
   };
 
-  // --- UI Helpers ---
+  // --- Selection ---
 
-  const showToast = (msg, type = 'success') => {
-    setToast({ show: true, msg, type });
-    setTimeout(() => setToast(prev => ({ ...prev, show: false })), 3000);
+  const selectFiles = (ids, checked) => setSelected(prev => {
+    const next = new Set(prev);
+    ids.forEach(id => (checked ? next.add(id) : next.delete(id)));
+    return next;
+  });
+
+  const handleReconvertSelected = () => {
+    // Assets have nothing to convert and pending files are already queued
+    const targets = selectedFiles.filter(f => f.kind !== 'asset' && f.status !== 'pending');
+    if (targets.length === 0) {
+      showToast('Nothing in the selection to convert', 'error');
+      return;
+    }
+    if (workersRef.current.length === 0) initWorkers();
+    queueConversion(targets, files);
+  };
+
+  const handleRemoveSelected = () => {
+    setFiles(prev => prev.filter(f => !selected.has(f.id)));
+    setSelected(new Set());
+  };
+
+  // --- Watch Mode ---
+
+  const logWatch = (kind, message) => setWatchLog(log => appendLog(log, kind, message));
+
+  const skipExcludedDir = (rel) => !createPathFilter('', options.excludeGlobs)(rel);
+
+  const handleOpenDirectory = async () => {
+    const handle = await pickDirectory().catch(() => {
+      showToast('Could not open that folder', 'error');
+      return null;
+    });
+    if (!handle) return;
+
+    const list = await readDirectory(handle, skipExcludedDir);
+    watchRef.current = { handle, snapshot: snapshotOf(list), written: new Set(), scanning: false };
+    setWatch({ name: handle.name, active: false, writeBack: false });
+    setWatchLog([]);
+    handleFiles(list);
+  };
+
+  const closeDirectory = () => {
+    watchRef.current = null;
+    rebuildRef.current = null;
+    setWatch(null);
   };
 
+  // One poll: re-read the directory, apply changes to the file list and re-queue what changed
+  const pollDirectory = async () => {
+    const watched = watchRef.current;
+    if (!watched || watched.scanning || isProcessing || pendingImport) return;
+    watched.scanning = true;
+
+    try {
+      const list = await readDirectory(watched.handle, skipExcludedDir);
+      const next = snapshotOf(list);
+      // Files we wrote ourselves (write-back) are output, not input
+      const { changed, added, removed } = diffSnapshots(watched.snapshot, next);
+      watched.snapshot = next;
+      const isInput = (path) => !watched.written.has(path);
+      const byPath = new Map(list.map(f => [uploadPath(f), f]));
+      const known = new Map(files.map(f => [f.originalPath, f]));
+
+      const modified = changed.filter(isInput).map(p => known.get(p)).filter(Boolean);
+      const gone = new Set(removed.filter(p => known.has(p)));
+      const { scripts, assets } = classifyFiles(added.filter(isInput).map(p => byPath.get(p)), options, projectConfig);
+      if (modified.length === 0 && gone.size === 0 && scripts.length === 0 && assets.length === 0) return;
+
+      const updated = new Map(modified.map(f => [f.id, f.kind === 'asset'
+        ? { ...f, blob: byPath.get(f.originalPath) }
+        : {
+          ...f,
+          source: byPath.get(f.originalPath),
+          inputContent: null,
+          status: 'idle',
+          content: null,
+          map: null,
+          typeLines: null,
+          error: null,
+          errorDetail: null,
+          diagnostics: null,
+          declaration: null,
+          usesDecorators: false
+        }]));
+      const created = [
+        ...scripts.map(({ file, path }) => createScriptRecord(file, path)),
+        ...assets.map(({ file, path }) => createAssetRecord(file, path))
+      ];
+
+      const nextFiles = [
+        ...files.filter(f => !gone.has(f.originalPath)).map(f => updated.get(f.id) || f),
+        ...created
+      ];
+      setFiles(nextFiles);
+
+      modified.forEach(f => logWatch('change', `changed ${f.originalPath}`));
+      created.forEach(f => logWatch('change', `added ${f.originalPath}`));
+      gone.forEach(path => logWatch('change', `removed ${path}`));
+
+      const rebuild = [...updated.values(), ...created].filter(f => f.kind !== 'asset');
+      gone.forEach(path => prepassContextsRef.current.delete(path));
+      // A changed .d.ts or a removed file can change what other files inline or drop; the pre-pass
+      // finds those even when nothing else needs converting
+      const prepassInputChanged = effectiveOptions(options, projectConfig).projectPrepass
+        && (gone.size > 0 || [...updated.values(), ...created].some(f => f.kind === 'asset' && isDeclaration(f.originalName)));
+      if (rebuild.length > 0 || prepassInputChanged) {
+        rebuildRef.current = { ids: new Set(rebuild.map(f => f.id)), started: Date.now() };
+        queueConversion(rebuild, nextFiles);
+      }
+
+      // The same decorator scan an upload gets, so an edit that adds decorators is flagged too
+      const decoratorsOff = effectiveOptions(options, projectConfig).decorators === 'none';
+      findDecorated(rebuild).then(ids => {
+        if (ids.size === 0) return;
+        setFiles(prev => prev.map(f => (ids.has(f.id) ? { ...f, usesDecorators: true } : f)));
+        if (decoratorsOff) logWatch('error', `${ids.size} changed files use decorators, but no decorator mode is enabled`);
+      });
+    } catch (error) {
+      logWatch('error', `scan failed: ${error.message}`);
+    } finally {
+      watched.scanning = false;
+    }
+  };
+
+  // Runs once the rebuilt files are back from the workers
+  const finishRebuild = async ({ ids, started }) => {
+    const rebuilt = files.filter(f => ids.has(f.id));
+    const failed = rebuilt.filter(f => f.error).length;
+    logWatch(failed > 0 ? 'error' : 'build', `rebuilt ${rebuilt.length} files in ${Date.now() - started} ms${failed > 0 ? `, ${failed} failed` : ''}`);
+
+    const watched = watchRef.current;
+    if (!watched || !watch?.writeBack) return;
+    const outputs = exportOutputs(rebuilt);
+    if (!outputs) return;
+    // A plain .js input converts onto its own path; writing that back would replace the source
+    const results = await writeEntries(watched.handle, outputs.filter(o => o.path !== o.source), { conflict: 'overwrite', root: projectRoot(files) });
+    // Our own writes shouldn't come back as changes on the next poll
+    results.forEach(r => watched.written.add(r.path));
+    const written = results.filter(r => r.outcome === 'written').length;
+    logWatch(written < results.length ? 'error' : 'write', `wrote ${written} of ${results.length} files`);
+  };
+
+  // A shared playground link brings its snippet and options along. The options only apply to the
+  // playground, on top of the user's own, and are never saved.
+  useEffect(() => {
+    if (!isPlaygroundHash(window.location.hash)) return;
+    let cancelled = false;
+    decodeState(window.location.hash).then(state => {
+      if (cancelled) return;
+      if (state) {
+        setPlaygroundFile(state.filename);
+        setPlaygroundOptions({ ...loadOptions(), ...state.options });
+      } else {
+        showToast('Could not read the playground link', 'error');
+      }
+      setPlaygroundSource(state ? state.source : DEFAULT_SNIPPET);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  // The debounce timer calls the latest runPlayground through a ref, like the watch interval
+  useEffect(() => {
+    playgroundRunRef.current = runPlayground;
+  });
+
+  // Convert after a pause in typing and keep the link in the address bar current. Leaving the
+  // playground drops the link.
+  useEffect(() => {
+    if (uploadMode !== 'playground') {
+      if (isPlaygroundHash(window.location.hash)) window.history.replaceState(null, '', window.location.pathname + window.location.search);
+      return;
+    }
+    if (playgroundSource === null) return;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      playgroundRunRef.current();
+      encodeState({ source: playgroundSource, filename: playgroundFile, options: playgroundOptions ?? options }).then(hash => {
+        if (!cancelled) window.history.replaceState(null, '', hash);
+      });
+    }, PLAYGROUND_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [uploadMode, playgroundSource, playgroundFile, playgroundOptions, options]);
+
+  // The interval reads the latest pollDirectory through a ref so it sees current state
+  useEffect(() => {
+    pollRef.current = pollDirectory;
+  });
+
+  useEffect(() => {
+    if (!watch?.active) return;
+    const timer = setInterval(() => pollRef.current(), WATCH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [watch?.active]);
+
+  useEffect(() => {
+    if (isProcessing || !rebuildRef.current) return;
+    const rebuild = rebuildRef.current;
+    rebuildRef.current = null;
+    finishRebuild(rebuild);
+  });
+
+  // --- UI Helpers ---
+
   const copyToClipboard = (text) => {
-    navigator.clipboard.writeText(text);
-    showToast('Copied to clipboard');
+    navigator.clipboard.writeText(text).then(
+      () => showToast('Copied to clipboard'),
+      () => showToast('Could not copy to the clipboard', 'error')
+    );
   };
 
   const getProgressPercentage = () => {
@@ -311,7 +1012,18 @@ const App = () => {
   
   // Counts
   const idleCount = files.filter(f => f.status === 'idle').length;
-  const processedCount = files.filter(f => f.status === 'complete').length;
+  const processedCount = files.filter(f => f.kind !== 'asset' && f.status === 'complete').length;
+  const assetCount = files.filter(f => f.kind === 'asset').length;
+  const declarationCount = files.filter(f => f.declaration).length;
+  const typeErrorFiles = files.filter(f => typeErrorsOf(f).length > 0);
+  const typeChecked = files.some(f => f.diagnostics);
+  const visibleFiles = files.filter(createFileFilter(filter));
+  // Ids of removed files may linger in `selected`; only files still in the list count
+  const selectedFiles = files.filter(f => selected.has(f.id));
+  const visibleSelectedCount = visibleFiles.filter(f => selected.has(f.id)).length;
+  const undecoratedCount = effectiveOptions(options, projectConfig).decorators === 'none'
+    ? files.filter(f => f.status === 'idle' && (f.inputContent != null ? usesDecorators(f.inputContent) : f.usesDecorators)).length
+    : 0;
 
   // --- Render Components ---
 
@@ -348,6 +1060,24 @@ const App = () => {
             </p>
           </div>
 
+          {/* Restore Offer */}
+          {restoreOffer && (
+            <div className="mb-8 bg-blue-900/20 border border-blue-800/60 rounded-2xl p-4 flex flex-wrap items-center justify-between gap-3 text-left">
+              <span className="text-sm text-slate-300">
+                Restore your previous session{restoreOffer.current && <span className="font-mono"> "{restoreOffer.current}"</span>}?
+                <span className="text-slate-500"> {restoreOffer.fileCount} files · saved {new Date(restoreOffer.savedAt).toLocaleString()}</span>
+              </span>
+              <div className="flex gap-2">
+                <button onClick={() => answerRestoreOffer(true)} className="px-4 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-sm font-medium">
+                  Restore
+                </button>
+                <button onClick={() => answerRestoreOffer(false)} className="px-4 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-300 text-sm font-medium">
+                  Discard
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Main Content Area */}
           <div className="grid grid-cols-1 lg:grid-cols-12 gap-8">
             
@@ -362,12 +1092,16 @@ const App = () => {
                 </div>
 
                 <div 
-                  onClick={() => uploadMode === 'file' ? fileInputRef.current?.click() : folderInputRef.current?.click()}
+                  onClick={() => {
+                    if (uploadMode === 'file') fileInputRef.current?.click();
+                    else if (uploadMode === 'folder') folderInputRef.current?.click();
+                  }}
                   onDragOver={(e) => { e.preventDefault(); e.currentTarget.classList.add('border-blue-500', 'bg-slate-800'); }}
                   onDragLeave={(e) => { e.preventDefault(); e.currentTarget.classList.remove('border-blue-500', 'bg-slate-800'); }}
                   onDrop={(e) => { 
                     e.preventDefault(); 
                     e.currentTarget.classList.remove('border-blue-500', 'bg-slate-800');
+                    if (uploadMode === 'playground') setUploadMode('file');
                     handleFiles(e.dataTransfer.files);
                   }}
                   className="border-2 border-dashed border-slate-700 hover:border-blue-500 rounded-xl bg-slate-800/30 transition-all duration-300 flex flex-col items-center justify-center py-10 px-4 cursor-pointer text-center group"
@@ -389,26 +1123,48 @@ const App = () => {
                     >
                       <FolderOpen className="w-3.5 h-3.5" /> Folder
                     </button>
+                    <button 
+                      onClick={() => setUploadMode('playground')}
+                      className={`px-4 py-1.5 rounded-full text-sm font-medium transition-all flex items-center gap-2 ${uploadMode === 'playground' ? 'bg-blue-600 text-white shadow-lg' : 'text-slate-400 hover:text-white hover:bg-slate-700/50'}`}
+                    >
+                      <Code2 className="w-3.5 h-3.5" /> Playground
+                    </button>
                   </div>
 
                   <div className="w-16 h-16 bg-slate-700/50 rounded-full flex items-center justify-center mb-5 group-hover:scale-110 transition-transform duration-300">
-                    {uploadMode === 'file' ? (
-                      <FileCode className="w-8 h-8 text-slate-400 group-hover:text-blue-400" />
-                    ) : (
-                      <FolderOpen className="w-8 h-8 text-slate-400 group-hover:text-blue-400" />
-                    )}
+                    {uploadMode === 'file' && <FileCode className="w-8 h-8 text-slate-400 group-hover:text-blue-400" />}
+                    {uploadMode === 'folder' && <FolderOpen className="w-8 h-8 text-slate-400 group-hover:text-blue-400" />}
+                    {uploadMode === 'playground' && <Code2 className="w-8 h-8 text-slate-400 group-hover:text-blue-400" />}
                   </div>
-                  <p className="text-slate-300 font-medium mb-2 text-lg">Click or Drag & Drop</p>
-                  <p className="text-slate-500 text-sm">
-                    {uploadMode === 'file' ? 'Select .ts/.tsx/.jsx files' : 'Select project folder'}
-                  </p>
+                  {uploadMode === 'playground' ? (
+                    <>
+                      <p className="text-slate-300 font-medium mb-2 text-lg">Edit a snippet</p>
+                      <p className="text-slate-500 text-sm">Converted as you type with the options below. The address bar always links to the current snippet.</p>
+                    </>
+                  ) : (
+                    <>
+                      <p className="text-slate-300 font-medium mb-2 text-lg">Click or Drag & Drop</p>
+                      <p className="text-slate-500 text-sm">
+                        {uploadMode === 'file' ? 'Select .ts/.tsx/.jsx files, components or a .zip/.tar.gz archive' : 'Select project folder'}
+                      </p>
+                    </>
+                  )}
+                  
+                  {supportsDirectoryAccess() && uploadMode !== 'playground' && (
+                    <button
+                      onClick={(e) => { e.stopPropagation(); handleOpenDirectory(); }}
+                      className="mt-4 text-sm text-blue-400 hover:text-blue-300 bg-transparent px-0 flex items-center gap-1.5"
+                    >
+                      <FolderSync className="w-4 h-4" /> Open a folder to watch for changes
+                    </button>
+                  )}
                   
                   <input 
                     type="file" 
                     ref={fileInputRef} 
                     className="hidden" 
                     multiple 
-                    accept=".ts,.tsx,.jsx,.js" 
+                    accept=".ts,.tsx,.jsx,.js,.vue,.svelte,.astro,.zip,.tar,.tar.gz,.tgz" 
                     onChange={(e) => handleFiles(e.target.files)} 
                   />
                   <input 
@@ -423,6 +1179,42 @@ const App = () => {
                 </div>
               </div>
 
+              {/* Watched Folder */}
+              {watch && (
+                <WatchPanel
+                  watch={watch}
+                  log={watchLog}
+                  onToggle={() => setWatch(w => ({ ...w, active: !w.active }))}
+                  onWriteBackChange={(writeBack) => setWatch(w => ({ ...w, writeBack }))}
+                  onClose={closeDirectory}
+                />
+              )}
+
+              {/* Saved Sessions */}
+              <SessionsPanel
+                sessions={sessions}
+                current={sessionName}
+                canSave={files.length > 0}
+                onSave={handleSaveSession}
+                onLoad={handleLoadSession}
+                onDelete={handleDeleteSession}
+                disabled={isProcessing}
+              />
+
+              {/* Transpile Options */}
+              {uploadMode === 'playground' && playgroundOptions ? (
+                <OptionsPanel
+                  options={playgroundOptions}
+                  project={null}
+                  onChange={setPlaygroundOptions}
+                  onClearCache={handleClearCache}
+                  disabled={isProcessing}
+                  linkNote={{ onDiscard: () => setPlaygroundOptions(null) }}
+                />
+              ) : (
+                <OptionsPanel options={options} project={projectConfig} onChange={setOptions} onClearCache={handleClearCache} disabled={isProcessing} />
+              )}
+
               {/* Conversion Action Panel */}
               {idleCount > 0 && !isProcessing && (
                 <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-2xl p-6 shadow-xl">
@@ -430,6 +1222,12 @@ const App = () => {
                     <span className="text-slate-300 font-medium">Ready to convert</span>
                     <span className="bg-blue-900/50 text-blue-300 px-3 py-1 rounded text-sm font-medium">{idleCount} files</span>
                   </div>
+                  {undecoratedCount > 0 && (
+                    <div className="mb-4 text-xs text-amber-300 bg-amber-900/20 border border-amber-800/50 rounded-lg p-3 flex gap-2 text-left">
+                      <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                      <span>{undecoratedCount} files use decorators, but no decorator mode is enabled. Pick one under Options or these files will fail.</span>
+                    </div>
+                  )}
                   <button 
                     onClick={handleConvert}
                     className="w-full py-3.5 bg-gradient-to-r from-emerald-600 to-teal-600 hover:from-emerald-500 hover:to-teal-500 text-white rounded-xl font-semibold shadow-lg shadow-emerald-600/20 flex items-center justify-center gap-2 transition-all hover:scale-[1.02] active:scale-[0.98]"
@@ -456,7 +1254,7 @@ const App = () => {
                     ></div>
                   </div>
                   {isProcessing && (
-                    <button onClick={handleClear} className="text-sm text-red-400 hover:text-red-300 font-medium">
+                    <button onClick={handleCancel} className="text-sm text-red-400 hover:text-red-300 font-medium">
                       Cancel Operation
                     </button>
                   )}
@@ -464,7 +1262,7 @@ const App = () => {
               )}
 
               {/* Summary Panel */}
-              {processedCount > 0 && !isProcessing && idleCount === 0 && (
+              {processedCount + assetCount > 0 && !isProcessing && idleCount === 0 && (
                 <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-2xl p-6 shadow-xl">
                   <h3 className="text-sm uppercase tracking-wider text-slate-500 font-bold mb-5">Summary</h3>
                   
@@ -473,6 +1271,34 @@ const App = () => {
                       <span className="text-slate-300">Files Processed</span>
                       <span className="text-white font-bold text-lg">{processedCount}</span>
                     </div>
+                    {assetCount > 0 && (
+                      <div className="flex justify-between items-center">
+                        <span className="text-slate-300">Assets Copied</span>
+                        <span className="text-white font-bold text-lg">{assetCount}</span>
+                      </div>
+                    )}
+                    {typeChecked && (
+                      <div className="flex justify-between items-center">
+                        <span className="text-slate-300">Type Errors</span>
+                        <span className={typeErrorFiles.length > 0 ? "text-amber-400 font-bold text-lg" : "text-emerald-400 font-bold text-lg"}>
+                          {typeErrorFiles.reduce((sum, f) => sum + typeErrorsOf(f).length, 0)}
+                        </span>
+                      </div>
+                    )}
+                    {cacheStats.hits + cacheStats.misses > 0 && (
+                      <div className="flex justify-between items-center">
+                        <span className="text-slate-300">Cache</span>
+                        <span className="text-white font-bold text-lg">
+                          {cacheStats.hits} <span className="text-slate-500 text-sm font-normal">hits</span> · {cacheStats.misses} <span className="text-slate-500 text-sm font-normal">misses</span>
+                        </span>
+                      </div>
+                    )}
+                    {declarationCount > 0 && (
+                      <div className="flex justify-between items-center">
+                        <span className="text-slate-300">Declarations</span>
+                        <span className="text-white font-bold text-lg">{declarationCount}</span>
+                      </div>
+                    )}
                     <div className="flex justify-between items-center">
                       <span className="text-slate-300">Errors</span>
                       <span className={files.some(f => f.error) ? "text-red-400 font-bold text-lg" : "text-emerald-400 font-bold text-lg"}>
@@ -482,13 +1308,52 @@ const App = () => {
                   </div>
 
                   <button 
-                    onClick={handleDownloadZip}
+                    onClick={() => handleDownloadZip()}
                     className="w-full py-3.5 bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-500 hover:to-indigo-500 text-white rounded-xl font-semibold shadow-lg shadow-blue-600/20 flex items-center justify-center gap-2 transition-all hover:scale-[1.02] active:scale-[0.98]"
                   >
                     <Download className="w-5 h-5" /> Download All (.zip)
                   </button>
+
+                  {supportsDirectoryAccess() && (
+                    <div className="mt-4 pt-4 border-t border-slate-700 space-y-3 text-left">
+                      <button
+                        onClick={handleWriteToFolder}
+                        disabled={isWriting}
+                        className="w-full py-3 bg-slate-700 hover:bg-slate-600 disabled:opacity-60 text-white rounded-xl font-semibold flex items-center justify-center gap-2 transition-colors"
+                      >
+                        {isWriting ? <Loader2 className="w-5 h-5 animate-spin" /> : <HardDrive className="w-5 h-5" />} Write to Folder…
+                      </button>
+                      <select
+                        value={options.writeConflicts}
+                        onChange={(e) => setOptions(o => ({ ...o, writeConflicts: e.target.value }))}
+                        className="w-full bg-slate-900/60 border border-slate-700 rounded-lg px-3 py-2 text-sm text-slate-200 focus:outline-none focus:border-blue-500"
+                      >
+                        {CONFLICT_POLICIES.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+                      </select>
+                      <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={options.deleteOriginals}
+                          onChange={(e) => setOptions(o => ({ ...o, deleteOriginals: e.target.checked }))}
+                          className="accent-blue-500"
+                        />
+                        Delete original .ts/.tsx/.jsx files after writing
+                      </label>
+                      <p className="text-xs text-slate-500">Pick the project folder itself to write next to the sources.</p>
+                    </div>
+                  )}
                 </div>
               )}
+
+              {/* Errors Panel */}
+              {!isProcessing && (
+                <ErrorsPanel files={files} onOpen={openPreview} onCopy={copyToClipboard} />
+              )}
+
+              {/* Size Report */}
+              {!isProcessing && processedCount > 0 && (
+                <SizeReport files={files} onOpen={openPreview} />
+              )}
             </div>
 
             {/* Right Column - Output (8 columns on lg+, 9 columns on xl+) */}
@@ -498,7 +1363,11 @@ const App = () => {
                 <div className="p-5 border-b border-slate-700 flex flex-wrap justify-between items-center bg-slate-800/50 gap-3">
                   <div className="flex items-center gap-3">
                     <h2 className="text-white font-semibold text-lg flex items-center gap-2">
-                      <FileCode className="text-indigo-400 w-5 h-5" /> Output
+                      {uploadMode === 'playground' ? (
+                        <><Code2 className="text-indigo-400 w-5 h-5" /> Playground</>
+                      ) : (
+                        <><FileCode className="text-indigo-400 w-5 h-5" /> Output</>
+                      )}
                     </h2>
                     {activeWorkers > 0 && (
                       <span className="text-xs px-3 py-1 rounded-full bg-blue-900/30 text-blue-300 flex items-center gap-2">
@@ -506,130 +1375,103 @@ const App = () => {
                       </span>
                     )}
                   </div>
-                  {files.length > 0 && (
-                    <button 
-                      onClick={handleClear} 
-                      className="text-sm text-red-400 hover:text-red-300 transition-colors flex items-center gap-2 hover:bg-red-900/20 px-3 py-1.5 rounded-lg"
-                    >
-                      <Trash2 className="w-4 h-4" /> Clear All
-                    </button>
+                  {files.length > 0 && uploadMode !== 'playground' && (
+                    <div className="flex items-center gap-2">
+                      <div className="flex bg-slate-900/60 border border-slate-700 rounded-lg p-0.5">
+                        {[['list', <List className="w-3.5 h-3.5" />, 'List'], ['tree', <FolderTree className="w-3.5 h-3.5" />, 'Tree']].map(([view, icon, label]) => (
+                          <button
+                            key={view}
+                            onClick={() => setListView(view)}
+                            className={`px-2.5 py-1 rounded-md text-xs flex items-center gap-1.5 transition-colors ${listView === view ? 'bg-slate-700 text-white' : 'bg-transparent text-slate-400 hover:text-slate-200'}`}
+                          >
+                            {icon} {label}
+                          </button>
+                        ))}
+                      </div>
+                      <button 
+                        onClick={handleClear} 
+                        className="text-sm text-red-400 hover:text-red-300 transition-colors flex items-center gap-2 hover:bg-red-900/20 px-3 py-1.5 rounded-lg"
+                      >
+                        <Trash2 className="w-4 h-4" /> Clear All
+                      </button>
+                    </div>
                   )}
                 </div>
 
                 {/* List Content */}
-                <div className="flex-grow overflow-y-auto p-5">
-                  {files.length === 0 ? (
-                    <div className="h-full flex flex-col items-center justify-center text-slate-600 text-center px-4 py-16">
-                      <FileJson className="w-16 h-16 mb-6 opacity-50" />
-                      <p className="font-medium text-lg mb-2">Ready for code.</p>
-                      <p className="text-sm text-slate-500">Multithreaded processing enabled.</p>
-                    </div>
-                  ) : (
-                    <div className="space-y-3">
-                      {files.map((file) => (
-                        <div 
-                          key={file.id}
-                          className={`bg-slate-800 rounded-xl p-4 flex items-center justify-between border transition-all duration-300 group hover:shadow-lg hover:-translate-y-0.5 ${file.error ? 'border-red-900/50' : 'border-slate-700 hover:border-slate-600'}`}
-                        >
-                          <div className="flex items-center gap-4 overflow-hidden flex-grow">
-                            <div className={`w-10 h-10 rounded-lg flex items-center justify-center flex-shrink-0 transition-colors ${
-                              file.error ? 'bg-red-900/30' :
-                              file.status === 'pending' ? 'bg-blue-900/30' :
-                              file.status === 'complete' ? 'bg-emerald-900/30' :
-                              'bg-slate-700'
-                            }`}>
-                              {file.error ? (
-                                <AlertCircle className="w-5 h-5 text-red-500" />
-                              ) : file.status === 'idle' ? (
-                                <div className="w-3 h-3 rounded-full bg-slate-500"></div>
-                              ) : file.status === 'pending' ? (
-                                <Loader2 className="w-5 h-5 text-blue-400 animate-spin" />
-                              ) : (
-                                <CheckCircle className="w-5 h-5 text-emerald-400" />
-                              )}
-                            </div>
-                            <div className="flex flex-col overflow-hidden min-w-0 flex-grow">
-                              <span className="text-base font-medium text-slate-200 truncate" title={file.newPath}>
-                                {file.newName}
-                              </span>
-                              <div className="text-xs text-slate-500 mt-1">
-                                <span className="truncate" title={file.originalPath}>
-                                  <span className="font-semibold text-slate-600">FROM:</span> {file.originalPath}
-                                </span>
-                                <span className="block text-blue-500 truncate" title={file.newPath}>
-                                  <span className="font-semibold text-blue-800">TO:</span> {file.newPath}
-                                </span>
-                              </div>
-                              {file.error && (
-                                <span className="text-xs text-red-400 truncate mt-1.5 font-mono" title={file.error}>
-                                  {file.error}
-                                </span>
-                              )}
-                            </div>
-                          </div>
-
-                          <div className="flex items-center gap-1 flex-shrink-0 ml-4 opacity-0 group-hover:opacity-100 transition-opacity duration-300">
-                            {!file.error && file.status === 'complete' && file.content && (
-                              <button 
-                                onClick={() => setPreviewFile(file)} 
-                                className="p-2 hover:bg-slate-700 rounded-lg text-slate-400 hover:text-blue-400 transition-colors" 
-                                title="Preview"
-                              >
-                                <Eye className="w-4 h-4" />
-                              </button>
-                            )}
-                            <button 
-                              onClick={() => removeFile(file.id)} 
-                              className="p-2 hover:bg-slate-700 rounded-lg text-slate-400 hover:text-red-500 transition-colors" 
-                              title="Remove"
-                            >
-                              <Trash2 className="w-4 h-4" />
-                            </button>
-                          </div>
-                        </div>
-                      ))}
-                    </div>
-                  )}
-                </div>
+                {uploadMode === 'playground' ? (
+                  <Playground
+                    source={playgroundSource ?? ''}
+                    filename={playgroundFile}
+                    result={playgroundResult}
+                    onSourceChange={setPlaygroundSource}
+                    onFilenameChange={setPlaygroundFile}
+                    onShare={handleSharePlayground}
+                    onCopy={copyToClipboard}
+                  />
+                ) : files.length === 0 ? (
+                  <div className="flex-grow flex flex-col items-center justify-center text-slate-600 text-center px-4 py-16">
+                    <FileJson className="w-16 h-16 mb-6 opacity-50" />
+                    <p className="font-medium text-lg mb-2">Ready for code.</p>
+                    <p className="text-sm text-slate-500">Multithreaded processing enabled.</p>
+                  </div>
+                ) : (
+                  <>
+                    <ListToolbar
+                      filter={filter}
+                      extensions={listExtensions(files)}
+                      onFilterChange={setFilter}
+                      visibleCount={visibleFiles.length}
+                      totalCount={files.length}
+                      selectedCount={selectedFiles.length}
+                      visibleSelectedCount={visibleSelectedCount}
+                      onSelectVisible={(checked) => selectFiles(visibleFiles.map(f => f.id), checked)}
+                      onClearSelection={() => setSelected(new Set())}
+                      onReconvert={handleReconvertSelected}
+                      onDownload={() => handleDownloadZip(selectedFiles, '-selection')}
+                      onRemove={handleRemoveSelected}
+                      busy={isProcessing}
+                    />
+                    {visibleFiles.length === 0 ? (
+                      <div className="flex-grow flex flex-col items-center justify-center text-slate-500 text-center px-4 py-16">
+                        <p className="font-medium mb-2">No files match these filters.</p>
+                        <button onClick={() => setFilter(DEFAULT_FILTER)} className="text-sm text-blue-400 hover:text-blue-300 bg-transparent">
+                          Reset filters
+                        </button>
+                      </div>
+                    ) : (
+                      <FileList
+                        files={visibleFiles}
+                        view={listView}
+                        selected={selected}
+                        onSelect={selectFiles}
+                        onPreview={openPreview}
+                        onRemove={removeFile}
+                      />
+                    )}
+                  </>
+                )}
               </div>
             </div>
           </div>
         </div>
       </main>
 
+      {/* Import Preview */}
+      {pendingImport && (
+        <ImportPreview
+          fileList={pendingImport}
+          options={options}
+          project={projectConfig}
+          onOptionsChange={setOptions}
+          onConfirm={importFiles}
+          onCancel={() => setPendingImport(null)}
+        />
+      )}
+
       {/* Preview Modal */}
       {previewFile && (
-        <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
-          <div className="absolute inset-0 bg-black/80 backdrop-blur-sm" onClick={() => setPreviewFile(null)}></div>
-          <div className="bg-slate-900 border border-slate-700 rounded-xl shadow-2xl w-full max-w-6xl h-[85vh] flex flex-col relative z-10 animate-in zoom-in-95 duration-200">
-            <div className="p-4 border-b border-slate-700 flex justify-between items-center bg-slate-800 rounded-t-xl">
-              <div className="flex flex-col min-w-0">
-                <h3 className="text-white font-mono text-sm truncate" title={previewFile.newPath}>
-                  {previewFile.newPath}
-                </h3>
-                <p className="text-xs text-slate-400 truncate" title={previewFile.originalPath}>
-                  Original: {previewFile.originalPath}
-                </p>
-              </div>
-              <div className="flex gap-2">
-                <button 
-                  onClick={() => copyToClipboard(previewFile.content)} 
-                  className="px-3 py-1.5 rounded bg-slate-700 hover:bg-slate-600 text-slate-300 text-xs flex items-center gap-2 transition-colors"
-                >
-                  <Copy className="w-3 h-3" /> Copy
-                </button>
-                <button onClick={() => setPreviewFile(null)} className="text-slate-400 hover:text-white transition-colors p-1">
-                  <X className="w-5 h-5" />
-                </button>
-              </div>
-            </div>
-            <div className="flex-grow overflow-auto p-4 bg-[#0d1117] rounded-b-xl">
-              <pre className="text-sm text-slate-300 font-mono whitespace-pre-wrap break-all">
-                {previewFile.content}
-              </pre>
-            </div>
-          </div>
-        </div>
+        <PreviewModal file={previewFile} onClose={() => setPreviewFile(null)} onCopy={copyToClipboard} />
       )}
 
       {/* Toast */}
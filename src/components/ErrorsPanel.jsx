@@ -0,0 +1,58 @@
+import React from 'react';
+import { AlertCircle, Copy, FileJson } from 'lucide-react';
+import { formatErrorsText, formatErrorsJson } from '../lib/errors.js';
+
+const ErrorsPanel = ({ files, onOpen, onCopy }) => {
+  const failed = files.filter(f => f.error);
+  if (failed.length === 0) return null;
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-red-900/50 rounded-2xl p-6 shadow-xl">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-white font-semibold flex items-center gap-2">
+          <AlertCircle className="text-red-400 w-5 h-5" /> Errors
+        </h3>
+        <span className="bg-red-900/40 text-red-300 px-3 py-1 rounded text-sm font-medium">{failed.length} files</span>
+      </div>
+
+      <div className="space-y-3 max-h-80 overflow-y-auto custom-scrollbar text-left mb-4">
+        {failed.map(file => (
+          <div key={file.id}>
+            <p className="text-xs font-mono text-slate-400 truncate mb-1" title={file.originalPath}>{file.originalPath}</p>
+            <button
+              onClick={() => onOpen(file)}
+              className="w-full text-left bg-slate-900/60 hover:bg-slate-900 border border-slate-700 hover:border-red-800 rounded-lg px-3 py-2 transition-colors"
+            >
+              <span className="block text-xs text-red-400 font-mono break-words">
+                {file.errorDetail?.line != null && (
+                  <span className="text-slate-500">{file.errorDetail.line}:{file.errorDetail.column} </span>
+                )}
+                {file.error}
+              </span>
+              {file.errorDetail?.hint && (
+                <span className="block text-xs text-amber-400 mt-1">{file.errorDetail.hint}</span>
+              )}
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <button
+          onClick={() => onCopy(formatErrorsText(files))}
+          className="px-3 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-300 text-xs flex items-center justify-center gap-2 transition-colors"
+        >
+          <Copy className="w-3 h-3" /> Copy as text
+        </button>
+        <button
+          onClick={() => onCopy(formatErrorsJson(files))}
+          className="px-3 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-300 text-xs flex items-center justify-center gap-2 transition-colors"
+        >
+          <FileJson className="w-3 h-3" /> Copy as JSON
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ErrorsPanel;
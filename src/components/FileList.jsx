@@ -0,0 +1,280 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Eye, Trash2, CheckCircle, AlertCircle, Loader2, File, Folder, FolderOpen, ChevronRight } from 'lucide-react';
+import { typeErrorsOf, formatDiagnostic, warningNotesOf, formatNote } from '../lib/errors.js';
+import { fileStatus } from '../lib/fileFilters.js';
+
+// --- Virtualized File List ---
+// Only the rows near the viewport are rendered, so tens of thousands of files stay responsive.
+// Rows have fixed heights per type, which keeps the offset math trivial.
+
+const FILE_ROW_HEIGHT = 112; // 100px card + 12px gap
+const FOLDER_ROW_HEIGHT = 36;
+const OVERSCAN = 600; // px rendered above and below the viewport
+const INDENT = 20;
+
+const rowHeight = (row) => (row.type === 'folder' ? FOLDER_ROW_HEIGHT : FILE_ROW_HEIGHT);
+
+// Status rollups shown on folder rows, in display order
+const ROLLUPS = [
+  { status: 'complete', className: 'text-emerald-400', label: 'complete' },
+  { status: 'pending', className: 'text-blue-400', label: 'pending' },
+  { status: 'error', className: 'text-red-400', label: 'failed' }
+];
+
+// Flattens the files into tree rows (folders first, then files, per level), skipping the
+// contents of collapsed folders. Each folder keeps the ids beneath it and a count per status.
+const buildTreeRows = (files, collapsed) => {
+  const root = { folders: new Map(), files: [] };
+  files.forEach(file => {
+    let node = root;
+    const status = fileStatus(file);
+    file.originalPath.split('/').slice(0, -1).forEach(part => {
+      if (!node.folders.has(part)) node.folders.set(part, { folders: new Map(), files: [], ids: [], counts: {} });
+      node = node.folders.get(part);
+      node.ids.push(file.id);
+      node.counts[status] = (node.counts[status] || 0) + 1;
+    });
+    node.files.push(file);
+  });
+
+  const rows = [];
+  const walk = (node, prefix, depth) => {
+    [...node.folders.keys()].sort().forEach(name => {
+      const path = prefix ? `${prefix}/${name}` : name;
+      const folder = node.folders.get(name);
+      rows.push({ type: 'folder', key: `dir:${path}`, path, name, depth, ids: folder.ids, counts: folder.counts });
+      if (!collapsed.has(path)) walk(folder, path, depth + 1);
+    });
+    node.files.forEach(file => rows.push({ type: 'file', key: file.id, file, depth }));
+  };
+  walk(root, '', 0);
+  return rows;
+};
+
+// Index of the first row whose bottom edge is below `y`
+const findRow = (tops, heights, y) => {
+  let lo = 0;
+  let hi = tops.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (tops[mid] + heights[mid] <= y) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+// `indeterminate` only exists as a DOM property, so it's set through the ref
+const Checkbox = ({ checked, indeterminate = false, onChange, title }) => (
+  <input
+    type="checkbox"
+    checked={checked}
+    ref={el => { if (el) el.indeterminate = indeterminate; }}
+    onChange={(e) => onChange(e.target.checked)}
+    onClick={(e) => e.stopPropagation()}
+    className="accent-blue-500 w-4 h-4 flex-shrink-0 cursor-pointer"
+    title={title}
+  />
+);
+
+const FileRow = ({ file, selected, onSelect, onPreview, onRemove }) => {
+  const typeErrors = typeErrorsOf(file);
+  const warnings = warningNotesOf(file);
+
+  return (
+    <div
+      className={`h-[100px] rounded-xl p-4 flex items-center justify-between border transition-colors duration-300 group hover:shadow-lg ${selected ? 'bg-slate-700/60' : 'bg-slate-800'} ${file.error ? 'border-red-900/50' : selected ? 'border-blue-700' : 'border-slate-700 hover:border-slate-600'}`}
+    >
+      <div className="flex items-center gap-4 overflow-hidden flex-grow">
+        <Checkbox checked={selected} onChange={(checked) => onSelect([file.id], checked)} title="Select" />
+        <div className={`relative w-10 h-10 rounded-lg flex items-center justify-center flex-shrink-0 transition-colors ${
+          file.error ? 'bg-red-900/30' :
+          file.status === 'pending' ? 'bg-blue-900/30' :
+          file.kind === 'asset' ? 'bg-slate-700' :
+          file.status === 'complete' ? 'bg-emerald-900/30' :
+          'bg-slate-700'
+        }`}>
+          {file.error ? (
+            <AlertCircle className="w-5 h-5 text-red-500" />
+          ) : file.kind === 'asset' ? (
+            <File className="w-5 h-5 text-slate-400" />
+          ) : file.status === 'idle' ? (
+            <div className="w-3 h-3 rounded-full bg-slate-500"></div>
+          ) : file.status === 'pending' ? (
+            <Loader2 className="w-5 h-5 text-blue-400 animate-spin" />
+          ) : (
+            <CheckCircle className="w-5 h-5 text-emerald-400" />
+          )}
+          {typeErrors.length > 0 && (
+            <span
+              className="absolute -top-1.5 -right-1.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-amber-500 text-slate-900 text-[10px] font-bold flex items-center justify-center"
+              title={`${typeErrors.length} type errors`}
+            >
+              {typeErrors.length}
+            </span>
+          )}
+        </div>
+        <div className="flex flex-col overflow-hidden min-w-0 flex-grow">
+          <span className="text-base font-medium text-slate-200 truncate" title={file.newPath}>
+            {file.newName}
+          </span>
+          <div className="text-xs text-slate-500 mt-1">
+            <span className="block truncate" title={file.originalPath}>
+              <span className="font-semibold text-slate-600">FROM:</span> {file.originalPath}
+            </span>
+            <span className="block text-blue-500 truncate" title={file.newPath}>
+              <span className="font-semibold text-blue-800">TO:</span> {file.newPath}
+            </span>
+          </div>
+          {file.error && (
+            <button
+              onClick={() => onPreview(file)}
+              className="text-xs text-red-400 hover:text-red-300 truncate mt-1.5 font-mono text-left bg-transparent p-0"
+              title={file.error}
+            >
+              {file.errorDetail?.line != null && `${file.errorDetail.line}:${file.errorDetail.column} `}{file.error}
+            </button>
+          )}
+          {!file.error && typeErrors.length > 0 && (
+            <button
+              onClick={() => onPreview(file)}
+              className="text-xs text-amber-400 hover:text-amber-300 truncate mt-1.5 font-mono text-left bg-transparent p-0"
+              title={typeErrors.map(formatDiagnostic).join('\n')}
+            >
+              {formatDiagnostic(typeErrors[0])}
+            </button>
+          )}
+          {!file.error && typeErrors.length === 0 && warnings.length > 0 && (
+            <button
+              onClick={() => onPreview(file)}
+              className="text-xs text-amber-400 hover:text-amber-300 truncate mt-1.5 font-mono text-left bg-transparent p-0"
+              title={warnings.map(formatNote).join('\n')}
+            >
+              {formatNote(warnings[0])}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex items-center gap-1 flex-shrink-0 ml-4 opacity-0 group-hover:opacity-100 transition-opacity duration-300">
+        {file.status === 'complete' && (file.content || file.errorDetail) && (
+          <button
+            onClick={() => onPreview(file)}
+            className="p-2 hover:bg-slate-700 rounded-lg text-slate-400 hover:text-blue-400 transition-colors"
+            title="Preview"
+          >
+            <Eye className="w-4 h-4" />
+          </button>
+        )}
+        <button
+          onClick={() => onRemove(file.id)}
+          className="p-2 hover:bg-slate-700 rounded-lg text-slate-400 hover:text-red-500 transition-colors"
+          title="Remove"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const FolderRow = ({ row, collapsed, selectedCount, onToggle, onSelect }) => (
+  <div className="h-8 flex items-center gap-2 px-2 rounded-lg hover:bg-slate-800">
+    <Checkbox
+      checked={selectedCount === row.ids.length}
+      indeterminate={selectedCount > 0 && selectedCount < row.ids.length}
+      onChange={(checked) => onSelect(row.ids, checked)}
+      title="Select folder"
+    />
+    <button
+      onClick={() => onToggle(row.path)}
+      className="flex-grow min-w-0 flex items-center gap-2 bg-transparent p-0 text-left text-sm text-slate-300"
+    >
+      <ChevronRight className={`w-4 h-4 text-slate-500 flex-shrink-0 transition-transform ${collapsed ? '' : 'rotate-90'}`} />
+      {collapsed ? <Folder className="w-4 h-4 text-indigo-400 flex-shrink-0" /> : <FolderOpen className="w-4 h-4 text-indigo-400 flex-shrink-0" />}
+      <span className="font-mono truncate">{row.name}</span>
+      <span className="text-xs text-slate-500 flex-shrink-0">{row.ids.length}</span>
+      {ROLLUPS.filter(r => row.counts[r.status]).map(r => (
+        <span key={r.status} className={`text-xs flex-shrink-0 ${r.className}`}>{row.counts[r.status]} {r.label}</span>
+      ))}
+    </button>
+  </div>
+);
+
+const FileList = ({ files, view, selected, onSelect, onPreview, onRemove }) => {
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewport, setViewport] = useState(800);
+  const scrollRef = useRef(null);
+
+  useEffect(() => {
+    const el = scrollRef.current;
+    const observer = new ResizeObserver(() => setViewport(el.clientHeight));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const rows = useMemo(() => (view === 'tree'
+    ? buildTreeRows(files, collapsed)
+    : files.map(file => ({ type: 'file', key: file.id, file, depth: 0 }))
+  ), [files, view, collapsed]);
+
+  const { tops, heights, total } = useMemo(() => {
+    const rowTops = new Array(rows.length);
+    const rowHeights = new Array(rows.length);
+    let y = 0;
+    rows.forEach((row, i) => {
+      rowTops[i] = y;
+      rowHeights[i] = rowHeight(row);
+      y += rowHeights[i];
+    });
+    return { tops: rowTops, heights: rowHeights, total: y };
+  }, [rows]);
+
+  const start = findRow(tops, heights, Math.max(0, scrollTop - OVERSCAN));
+  const end = Math.min(rows.length, findRow(tops, heights, scrollTop + viewport + OVERSCAN) + 1);
+
+  const toggleFolder = (path) => setCollapsed(prev => {
+    const next = new Set(prev);
+    if (next.has(path)) next.delete(path);
+    else next.add(path);
+    return next;
+  });
+
+  return (
+    <div
+      ref={scrollRef}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      className="flex-grow overflow-y-auto p-5 h-[calc(100vh-16rem)] min-h-[500px] custom-scrollbar"
+    >
+      <div className="relative" style={{ height: total }}>
+        {rows.slice(start, end).map((row, i) => (
+          <div
+            key={row.key}
+            className="absolute left-0 right-0"
+            style={{ top: tops[start + i], height: heights[start + i], paddingLeft: row.depth * INDENT }}
+          >
+            {row.type === 'folder' ? (
+              <FolderRow
+                row={row}
+                collapsed={collapsed.has(row.path)}
+                selectedCount={row.ids.filter(id => selected.has(id)).length}
+                onToggle={toggleFolder}
+                onSelect={onSelect}
+              />
+            ) : (
+              <FileRow
+                file={row.file}
+                selected={selected.has(row.file.id)}
+                onSelect={onSelect}
+                onPreview={onPreview}
+                onRemove={onRemove}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default FileList;
@@ -0,0 +1,107 @@
+import React, { useMemo } from 'react';
+import { X, FileCode, File, Ban } from 'lucide-react';
+import { classifyFiles } from '../lib/projectFiles.js';
+
+const MAX_ROWS = 200;
+
+const fieldClass = 'w-full bg-slate-900/60 border border-slate-700 rounded-lg px-3 py-2 text-xs text-slate-200 font-mono focus:outline-none focus:border-blue-500';
+const labelClass = 'block text-xs font-semibold uppercase tracking-wider text-slate-500 mb-1.5';
+
+const FileGroup = ({ icon, title, items, tone }) => (
+  <div className="flex flex-col min-h-0">
+    <h4 className={`text-xs font-semibold uppercase tracking-wider mb-2 flex items-center gap-2 ${tone}`}>
+      {icon} {title} ({items.length})
+    </h4>
+    <div className="flex-grow overflow-y-auto custom-scrollbar bg-slate-900/60 border border-slate-700 rounded-lg p-2 text-xs font-mono text-slate-400 min-h-24">
+      {items.slice(0, MAX_ROWS).map(item => (
+        <div key={item.path} className="truncate" title={item.path}>{item.path}</div>
+      ))}
+      {items.length > MAX_ROWS && (
+        <div className="text-slate-600 mt-1">…and {items.length - MAX_ROWS} more</div>
+      )}
+    </div>
+  </div>
+);
+
+const ImportPreview = ({ fileList, options, project, onOptionsChange, onConfirm, onCancel }) => {
+  const { scripts, assets, excluded } = useMemo(() => classifyFiles(fileList, options, project), [fileList, options, project]);
+  const total = scripts.length + assets.length;
+
+  const set = (key) => (value) => onOptionsChange({ ...options, [key]: value });
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/80 backdrop-blur-sm" onClick={onCancel}></div>
+      <div className="bg-slate-900 border border-slate-700 rounded-xl shadow-2xl w-full max-w-5xl max-h-[90vh] flex flex-col relative z-10 text-left">
+        <div className="p-4 border-b border-slate-700 flex justify-between items-center bg-slate-800 rounded-t-xl">
+          <div className="min-w-0">
+            <h3 className="text-white font-semibold">Review Import</h3>
+            {project && options.useTsconfig && (project.include || project.exclude) && (
+              <p className="text-xs text-slate-400 truncate">Scripts are also filtered by include/exclude in {project.path}</p>
+            )}
+          </div>
+          <button onClick={onCancel} className="text-slate-400 hover:text-white transition-colors p-1 bg-transparent">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-5 grid grid-cols-1 md:grid-cols-3 gap-4 border-b border-slate-800">
+          <div>
+            <label className={labelClass}>Include globs</label>
+            <textarea
+              rows={3}
+              value={options.includeGlobs}
+              onChange={(e) => set('includeGlobs')(e.target.value)}
+              placeholder="src/**"
+              className={fieldClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Exclude globs</label>
+            <textarea
+              rows={3}
+              value={options.excludeGlobs}
+              onChange={(e) => set('excludeGlobs')(e.target.value)}
+              placeholder="node_modules"
+              className={fieldClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Non-script files</label>
+            <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={options.copyAssets}
+                onChange={(e) => set('copyAssets')(e.target.checked)}
+                className="accent-blue-500"
+              />
+              Copy through untouched
+            </label>
+            <p className="text-xs text-slate-500 mt-2">CSS, JSON, images, HTML and package.json are added to the ZIP as-is.</p>
+          </div>
+        </div>
+
+        <div className="p-5 grid grid-cols-1 md:grid-cols-3 gap-4 flex-grow min-h-0 overflow-hidden">
+          <FileGroup icon={<FileCode className="w-3.5 h-3.5" />} title="Convert" items={scripts} tone="text-blue-400" />
+          <FileGroup icon={<File className="w-3.5 h-3.5" />} title="Copy as-is" items={assets} tone="text-emerald-400" />
+          <FileGroup icon={<Ban className="w-3.5 h-3.5" />} title="Skipped" items={excluded} tone="text-slate-500" />
+        </div>
+
+        <div className="p-4 border-t border-slate-700 flex justify-end gap-2 bg-slate-800 rounded-b-xl">
+          <button onClick={onCancel} className="px-4 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-300 text-sm">
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm({ scripts, assets })}
+            disabled={total === 0}
+            className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Add {total} files
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportPreview;
@@ -0,0 +1,117 @@
+import React from 'react';
+import { Search, X, RotateCw, Download, Trash2 } from 'lucide-react';
+import { STATUS_FILTERS, DEFAULT_FILTER, isFiltered } from '../lib/fileFilters.js';
+
+const ListToolbar = ({
+  filter,
+  extensions,
+  onFilterChange,
+  visibleCount,
+  totalCount,
+  selectedCount,
+  visibleSelectedCount,
+  onSelectVisible,
+  onClearSelection,
+  onReconvert,
+  onDownload,
+  onRemove,
+  busy
+}) => {
+  const update = (patch) => onFilterChange({ ...filter, ...patch });
+
+  return (
+    <div className="px-5 py-3 border-b border-slate-700 space-y-3 text-left">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative flex-grow min-w-[12rem]">
+          <Search className="w-4 h-4 text-slate-500 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={filter.query}
+            onChange={(e) => update({ query: e.target.value })}
+            placeholder="Search paths"
+            className="w-full bg-slate-900/60 border border-slate-700 rounded-lg pl-9 pr-3 py-1.5 text-sm text-slate-200 focus:outline-none focus:border-blue-500"
+          />
+        </div>
+
+        <div className="flex bg-slate-900/60 border border-slate-700 rounded-lg p-0.5">
+          {STATUS_FILTERS.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => update({ status: value })}
+              className={`px-2.5 py-1 rounded-md text-xs transition-colors ${filter.status === value ? 'bg-slate-700 text-white' : 'bg-transparent text-slate-400 hover:text-slate-200'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <select
+          value={filter.extension}
+          onChange={(e) => update({ extension: e.target.value })}
+          className="bg-slate-900/60 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-slate-200 focus:outline-none focus:border-blue-500"
+        >
+          <option value="">All types</option>
+          {extensions.map(ext => <option key={ext} value={ext}>{ext}</option>)}
+        </select>
+
+        {isFiltered(filter) && (
+          <button
+            onClick={() => onFilterChange(DEFAULT_FILTER)}
+            className="p-1.5 bg-transparent text-slate-400 hover:text-white"
+            title="Reset filters"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-xs text-slate-400">
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={visibleCount > 0 && visibleSelectedCount === visibleCount}
+            ref={el => { if (el) el.indeterminate = visibleSelectedCount > 0 && visibleSelectedCount < visibleCount; }}
+            onChange={(e) => onSelectVisible(e.target.checked)}
+            disabled={visibleCount === 0}
+            className="accent-blue-500 w-4 h-4"
+          />
+          {visibleCount === totalCount ? `${totalCount} files` : `${visibleCount} of ${totalCount} files`}
+        </label>
+
+        {selectedCount > 0 && (
+          <div className="flex flex-wrap items-center gap-1 ml-auto">
+            <span className="text-blue-300 mr-1">{selectedCount} selected</span>
+            <button
+              onClick={onReconvert}
+              disabled={busy}
+              className="px-2.5 py-1 rounded-md bg-transparent hover:bg-slate-700 text-slate-300 disabled:opacity-50 flex items-center gap-1.5"
+            >
+              <RotateCw className="w-3.5 h-3.5" /> Re-convert
+            </button>
+            <button
+              onClick={onDownload}
+              className="px-2.5 py-1 rounded-md bg-transparent hover:bg-slate-700 text-slate-300 flex items-center gap-1.5"
+            >
+              <Download className="w-3.5 h-3.5" /> ZIP
+            </button>
+            <button
+              onClick={onRemove}
+              className="px-2.5 py-1 rounded-md bg-transparent hover:bg-red-900/20 text-red-400 flex items-center gap-1.5"
+            >
+              <Trash2 className="w-3.5 h-3.5" /> Remove
+            </button>
+            <button
+              onClick={onClearSelection}
+              className="p-1 bg-transparent text-slate-400 hover:text-white"
+              title="Clear selection"
+            >
+              <X className="w-3.5 h-3.5" />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ListToolbar;
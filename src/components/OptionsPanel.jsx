@@ -0,0 +1,358 @@
+import React, { useState } from 'react';
+import { Settings, ChevronDown, RotateCcw, Database } from 'lucide-react';
+import { TARGETS, MODULE_FORMATS, DECORATOR_MODES, SOURCE_MAP_MODES, OUTPUT_FORMATS, INDENT_STYLES, TYPE_ERROR_MODES, DEFAULT_OPTIONS } from '../lib/options.js';
+
+const fieldClass = 'w-full bg-slate-900/60 border border-slate-700 rounded-lg px-3 py-2 text-sm text-slate-200 focus:outline-none focus:border-blue-500';
+const labelClass = 'block text-xs font-semibold uppercase tracking-wider text-slate-500 mb-1.5';
+
+const Checkbox = ({ checked, onChange, label, disabled }) => (
+  <label className={`flex items-center gap-2 text-sm text-slate-300 ${disabled ? 'opacity-50' : 'cursor-pointer'}`}>
+    <input
+      type="checkbox"
+      checked={checked}
+      disabled={disabled}
+      onChange={(e) => onChange(e.target.checked)}
+      className="accent-blue-500"
+    />
+    {label}
+  </label>
+);
+
+// `linkNote` is set while the panel shows a shared playground link's options instead of the saved ones
+const OptionsPanel = ({ options, project, onChange, onClearCache, disabled, linkNote = null }) => {
+  const [open, setOpen] = useState(false);
+
+  const set = (key) => (value) => onChange({ ...options, [key]: value });
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-2xl shadow-xl">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className="w-full p-6 flex items-center justify-between bg-transparent"
+      >
+        <span className="flex items-center gap-2">
+          <Settings className="text-blue-400 w-5 h-5" />
+          <span className="text-white font-semibold">Options</span>
+        </span>
+        <ChevronDown className={`w-4 h-4 text-slate-400 transition-transform ${open ? 'rotate-180' : ''}`} />
+      </button>
+
+      {open && (
+        <fieldset disabled={disabled} className="px-6 pb-6 space-y-5 text-left disabled:opacity-60">
+          {linkNote && (
+            <div className="bg-indigo-950/40 border border-indigo-800/60 rounded-lg p-3 text-xs text-indigo-200">
+              These are the shared link's options. They apply to the playground only and aren't saved.
+              <button
+                onClick={linkNote.onDiscard}
+                className="block mt-2 text-indigo-300 hover:text-white bg-transparent px-0"
+              >
+                Use my saved options
+              </button>
+            </div>
+          )}
+          {/* Project tsconfig */}
+          {project && (
+            <div className="bg-slate-900/60 border border-slate-700 rounded-lg p-3">
+              <Checkbox
+                checked={options.useTsconfig}
+                onChange={set('useTsconfig')}
+                label={<span>Use <span className="font-mono">{project.path}</span></span>}
+              />
+              {options.useTsconfig && (
+                <p className="text-xs text-slate-500 mt-2">
+                  Overrides: {[
+                    ...Object.keys(project.options),
+                    ...(project.include || project.exclude ? ['include/exclude'] : []),
+                    ...(project.aliases ? ['paths'] : [])
+                  ].join(', ') || 'nothing'}
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Target */}
+          <div>
+            <label className={labelClass}>Target</label>
+            <select value={options.target} onChange={(e) => set('target')(e.target.value)} className={fieldClass}>
+              {TARGETS.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+            </select>
+            {options.target === 'browserslist' && (
+              <input
+                type="text"
+                value={options.browserslist}
+                onChange={(e) => set('browserslist')(e.target.value)}
+                placeholder="> 0.5%, last 2 versions, not dead"
+                className={`${fieldClass} mt-2 font-mono`}
+              />
+            )}
+          </div>
+
+          {/* Modules */}
+          <div>
+            <label className={labelClass}>Module Format</label>
+            <select value={options.moduleFormat} onChange={(e) => set('moduleFormat')(e.target.value)} className={fieldClass}>
+              {MODULE_FORMATS.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+            </select>
+          </div>
+
+          {/* JSX */}
+          <div>
+            <label className={labelClass}>JSX Runtime</label>
+            <select value={options.jsxRuntime} onChange={(e) => set('jsxRuntime')(e.target.value)} className={fieldClass}>
+              <option value="classic">Classic (React.createElement)</option>
+              <option value="automatic">Automatic (react/jsx-runtime)</option>
+            </select>
+            {options.jsxRuntime === 'classic' ? (
+              <div className="grid grid-cols-2 gap-2 mt-2">
+                <input
+                  type="text"
+                  value={options.jsxPragma}
+                  onChange={(e) => set('jsxPragma')(e.target.value)}
+                  placeholder="React.createElement"
+                  className={`${fieldClass} font-mono`}
+                />
+                <input
+                  type="text"
+                  value={options.jsxPragmaFrag}
+                  onChange={(e) => set('jsxPragmaFrag')(e.target.value)}
+                  placeholder="React.Fragment"
+                  className={`${fieldClass} font-mono`}
+                />
+              </div>
+            ) : (
+              <input
+                type="text"
+                value={options.jsxImportSource}
+                onChange={(e) => set('jsxImportSource')(e.target.value)}
+                placeholder="react"
+                className={`${fieldClass} mt-2 font-mono`}
+              />
+            )}
+          </div>
+
+          {/* TypeScript */}
+          <div>
+            <label className={labelClass}>TypeScript</label>
+            <div className="space-y-2 mb-3">
+              <Checkbox
+                checked={options.onlyRemoveTypeImports}
+                onChange={set('onlyRemoveTypeImports')}
+                label="Only remove type imports"
+              />
+              <Checkbox
+                checked={options.allowDeclareFields}
+                onChange={set('allowDeclareFields')}
+                label="Allow declare fields"
+              />
+              <Checkbox
+                checked={options.typesAsJsdoc}
+                onChange={set('typesAsJsdoc')}
+                label="Preserve types as JSDoc"
+              />
+            </div>
+            <select value={options.isTSX} onChange={(e) => set('isTSX')(e.target.value)} className={fieldClass}>
+              <option value="auto">Parse JSX by extension</option>
+              <option value="always">Always parse as TSX</option>
+              <option value="never">Never parse as TSX</option>
+            </select>
+          </div>
+
+          {/* Decorators & Class Fields */}
+          <div>
+            <label className={labelClass}>Decorators</label>
+            <select value={options.decorators} onChange={(e) => set('decorators')(e.target.value)} className={fieldClass}>
+              {DECORATOR_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+            </select>
+            <div className="mt-2" title={options.decorators !== 'legacy' ? 'Metadata requires legacy decorators' : undefined}>
+              <Checkbox
+                checked={options.decorators === 'legacy' && options.emitDecoratorMetadata}
+                onChange={set('emitDecoratorMetadata')}
+                disabled={options.decorators !== 'legacy'}
+                label="Emit decorator metadata"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className={labelClass}>Class Fields</label>
+            <select value={options.classFields} onChange={(e) => set('classFields')(e.target.value)} className={fieldClass}>
+              <option value="define">Define semantics (useDefineForClassFields)</option>
+              <option value="set">Assignment semantics (this.x = …)</option>
+            </select>
+          </div>
+
+          {/* Imports */}
+          <div>
+            <label className={labelClass}>Imports</label>
+            <div className="space-y-2">
+              <Checkbox
+                checked={options.rewriteImports}
+                onChange={set('rewriteImports')}
+                label="Rewrite relative imports to output paths"
+              />
+              <Checkbox
+                checked={options.addJsExtensions}
+                onChange={set('addJsExtensions')}
+                label="Add explicit .js extensions (Node ESM)"
+              />
+              <Checkbox
+                checked={options.projectPrepass}
+                onChange={set('projectPrepass')}
+                label="Resolve const enums and type-only exports across files"
+              />
+            </div>
+          </div>
+
+          {/* Type Check */}
+          <div>
+            <label className={labelClass}>Type Check</label>
+            <Checkbox
+              checked={options.typeCheck}
+              onChange={set('typeCheck')}
+              label="Run the TypeScript checker on convert"
+            />
+            {options.typeCheck && (
+              <select value={options.typeErrors} onChange={(e) => set('typeErrors')(e.target.value)} className={`${fieldClass} mt-2`}>
+                {TYPE_ERROR_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+              </select>
+            )}
+          </div>
+
+          {/* Declarations */}
+          <div>
+            <label className={labelClass}>Declarations</label>
+            <Checkbox
+              checked={options.declarations}
+              onChange={set('declarations')}
+              label="Emit .d.ts files"
+            />
+            {options.declarations && (
+              <input
+                type="text"
+                value={options.declarationDir}
+                onChange={(e) => set('declarationDir')(e.target.value)}
+                placeholder="Blank = beside sources"
+                title="Folder for declarations, relative to the project root"
+                className={`${fieldClass} mt-2 font-mono`}
+              />
+            )}
+          </div>
+
+          {/* Source Maps */}
+          <div>
+            <label className={labelClass}>Source Maps</label>
+            {/* Prettier rewrites every position, so Formatted output has no maps to offer */}
+            <select
+              value={options.outputFormat === 'pretty' ? 'none' : options.sourceMaps}
+              onChange={(e) => set('sourceMaps')(e.target.value)}
+              disabled={options.outputFormat === 'pretty'}
+              className={`${fieldClass} disabled:opacity-50`}
+            >
+              {SOURCE_MAP_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+            </select>
+            {options.outputFormat === 'pretty' && (
+              <p className="text-xs text-slate-500 mt-1">Not available with Formatted output.</p>
+            )}
+          </div>
+
+          {/* Output Format */}
+          <div>
+            <label className={labelClass}>Output Format</label>
+            <select value={options.outputFormat} onChange={(e) => set('outputFormat')(e.target.value)} className={fieldClass}>
+              {OUTPUT_FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+            </select>
+            {options.outputFormat === 'minify' && (
+              <div className="mt-2 space-y-2">
+                <Checkbox checked={options.minifyMangle} onChange={set('minifyMangle')} label="Mangle names" />
+                <Checkbox checked={options.minifyDeadCode} onChange={set('minifyDeadCode')} label="Remove dead code" />
+                <Checkbox checked={options.minifyKeepLicense} onChange={set('minifyKeepLicense')} label="Keep license comments" />
+              </div>
+            )}
+            {options.outputFormat === 'pretty' && (
+              <div className="mt-2 space-y-2">
+                <div className="grid grid-cols-2 gap-2">
+                  <label className="text-xs text-slate-400">
+                    Indent
+                    <select value={options.formatIndent} onChange={(e) => set('formatIndent')(e.target.value)} className={`${fieldClass} mt-1`}>
+                      {INDENT_STYLES.map(i => <option key={i.value} value={i.value}>{i.label}</option>)}
+                    </select>
+                  </label>
+                  <label className="text-xs text-slate-400">
+                    Line width
+                    <input
+                      type="number"
+                      min="40"
+                      max="200"
+                      value={options.formatWidth}
+                      onChange={(e) => set('formatWidth')(Math.min(200, Math.max(40, Number(e.target.value) || 80)))}
+                      className={`${fieldClass} mt-1`}
+                    />
+                  </label>
+                </div>
+                <Checkbox
+                  checked={options.formatQuotes === 'single'}
+                  onChange={(single) => set('formatQuotes')(single ? 'single' : 'double')}
+                  label="Single quotes"
+                />
+                <Checkbox checked={options.formatSemicolons} onChange={set('formatSemicolons')} label="Semicolons" />
+              </div>
+            )}
+          </div>
+
+          {/* Worker Pool */}
+          <div>
+            <label className={labelClass}>Workers</label>
+            <div className="grid grid-cols-2 gap-2">
+              <label className="text-xs text-slate-400">
+                Timeout per file (s, 0 = none)
+                <input
+                  type="number"
+                  min="0"
+                  value={options.taskTimeout}
+                  onChange={(e) => set('taskTimeout')(Math.max(0, Number(e.target.value) || 0))}
+                  className={`${fieldClass} mt-1`}
+                />
+              </label>
+              <label className="text-xs text-slate-400">
+                Retries
+                <input
+                  type="number"
+                  min="0"
+                  max="5"
+                  value={options.taskRetries}
+                  onChange={(e) => set('taskRetries')(Math.min(5, Math.max(0, Number(e.target.value) || 0)))}
+                  className={`${fieldClass} mt-1`}
+                />
+              </label>
+            </div>
+          </div>
+
+          {/* Cache */}
+          <div>
+            <label className={labelClass}>Cache</label>
+            <Checkbox
+              checked={options.cacheResults}
+              onChange={set('cacheResults')}
+              label="Reuse results for unchanged files"
+            />
+            <button
+              onClick={onClearCache}
+              className="mt-2 text-sm text-slate-400 hover:text-white flex items-center gap-2 bg-transparent px-0"
+            >
+              <Database className="w-3.5 h-3.5" /> Clear cache
+            </button>
+          </div>
+
+          <button
+            onClick={() => onChange({ ...DEFAULT_OPTIONS })}
+            className="text-sm text-slate-400 hover:text-white flex items-center gap-2 bg-transparent px-0"
+          >
+            <RotateCcw className="w-3.5 h-3.5" /> Reset to defaults
+          </button>
+        </fieldset>
+      )}
+    </div>
+  );
+};
+
+export default OptionsPanel;
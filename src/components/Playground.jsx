@@ -0,0 +1,116 @@
+import React from 'react';
+import { Highlight, themes } from 'prism-react-renderer';
+import { Code2, Copy, Link2, Loader2, AlertCircle } from 'lucide-react';
+import { PLAYGROUND_FILES } from '../lib/playground.js';
+
+const TAB = '  ';
+
+// Tab indents instead of leaving the editor
+const handleKeyDown = (e, onChange) => {
+  if (e.key !== 'Tab' || e.shiftKey || e.ctrlKey || e.metaKey || e.altKey) return;
+  e.preventDefault();
+  const { selectionStart, selectionEnd, value } = e.currentTarget;
+  const target = e.currentTarget;
+  onChange(value.slice(0, selectionStart) + TAB + value.slice(selectionEnd));
+  requestAnimationFrame(() => target.setSelectionRange(selectionStart + TAB.length, selectionStart + TAB.length));
+};
+
+// `result` is the latest snippet's record, shaped like a converted file's, or null before the first run
+const Playground = ({ source, filename, result, onSourceChange, onFilenameChange, onShare, onCopy }) => (
+  <div className="flex flex-col flex-grow min-h-0">
+    <div className="px-5 py-3 border-b border-slate-700 flex flex-wrap items-center justify-between gap-3">
+      <div className="flex items-center gap-3">
+        <select
+          value={filename}
+          onChange={(e) => onFilenameChange(e.target.value)}
+          className="bg-slate-900/60 border border-slate-700 rounded-lg px-2 py-1 text-sm font-mono text-slate-200 focus:outline-none focus:border-blue-500"
+        >
+          {PLAYGROUND_FILES.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        {result?.status === 'pending' && (
+          <span className="text-xs text-blue-300 flex items-center gap-1.5">
+            <Loader2 className="w-3.5 h-3.5 animate-spin" /> Converting…
+          </span>
+        )}
+      </div>
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => onCopy(result.content)}
+          disabled={!result?.content}
+          className="text-sm text-slate-300 hover:text-white disabled:opacity-50 flex items-center gap-2 hover:bg-slate-700/50 px-3 py-1.5 rounded-lg bg-transparent"
+        >
+          <Copy className="w-4 h-4" /> Copy Output
+        </button>
+        <button
+          onClick={onShare}
+          className="text-sm text-blue-400 hover:text-blue-300 flex items-center gap-2 hover:bg-blue-900/20 px-3 py-1.5 rounded-lg bg-transparent"
+        >
+          <Link2 className="w-4 h-4" /> Share Link
+        </button>
+      </div>
+    </div>
+
+    <div className="grid grid-cols-1 xl:grid-cols-2 flex-grow min-h-[500px]">
+      <div className="flex flex-col min-h-0 min-w-0 border-b xl:border-b-0 xl:border-r border-slate-800">
+        <div className="px-4 py-2 text-xs font-semibold uppercase tracking-wider text-slate-500 border-b border-slate-800 bg-slate-900">
+          TypeScript
+        </div>
+        <textarea
+          value={source}
+          onChange={(e) => onSourceChange(e.target.value)}
+          onKeyDown={(e) => handleKeyDown(e, onSourceChange)}
+          spellCheck={false}
+          autoCapitalize="off"
+          autoComplete="off"
+          placeholder="Paste or type TypeScript here"
+          className="flex-grow min-h-[300px] w-full resize-none bg-[#0d1117] text-slate-200 text-sm font-mono p-4 focus:outline-none custom-scrollbar"
+        />
+      </div>
+
+      <div className="flex flex-col min-h-0 min-w-0">
+        <div className="px-4 py-2 text-xs font-semibold uppercase tracking-wider text-slate-500 border-b border-slate-800 bg-slate-900">
+          JavaScript
+        </div>
+        <div className="flex-grow overflow-auto bg-[#0d1117] custom-scrollbar min-h-[300px]">
+          {result?.errorDetail ? (
+            <div className="p-4 text-left">
+              <p className="text-sm text-red-400 font-mono flex gap-2 break-words">
+                <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                <span>
+                  {result.errorDetail.line != null && <span className="text-slate-500">{result.errorDetail.line}:{result.errorDetail.column} </span>}
+                  {result.errorDetail.message}
+                </span>
+              </p>
+              {result.errorDetail.hint && <p className="text-xs text-amber-400 mt-2">{result.errorDetail.hint}</p>}
+              {result.errorDetail.codeFrame && (
+                <pre className="mt-3 text-xs font-mono text-slate-400 whitespace-pre overflow-x-auto">{result.errorDetail.codeFrame}</pre>
+              )}
+            </div>
+          ) : result?.content != null ? (
+            <Highlight theme={themes.vsDark} code={result.content} language="jsx">
+              {({ tokens, getLineProps, getTokenProps }) => (
+                <pre className="text-sm font-mono py-2 text-left" style={{ background: 'transparent' }}>
+                  {tokens.map((line, i) => (
+                    <div key={i} {...getLineProps({ line })}>
+                      <span className="inline-block w-12 pr-4 text-right text-slate-600 select-none">{i + 1}</span>
+                      <span className="whitespace-pre pr-4">
+                        {line.map((token, key) => <span key={key} {...getTokenProps({ token })} />)}
+                      </span>
+                    </div>
+                  ))}
+                </pre>
+              )}
+            </Highlight>
+          ) : (
+            <div className="h-full flex flex-col items-center justify-center text-slate-600 text-center px-4 py-16">
+              <Code2 className="w-12 h-12 mb-4 opacity-50" />
+              <p className="text-sm">The converted snippet shows up here.</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  </div>
+);
+
+export default Playground;
@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Highlight, themes } from 'prism-react-renderer';
+import { X, Copy, Search, ChevronUp, ChevronDown, Link2 } from 'lucide-react';
+import { decodeLineMappings } from '../lib/sourceMap.js';
+import { formatDiagnostic, formatNote } from '../lib/errors.js';
+import { isComponent } from '../lib/components.js';
+
+// Components are highlighted as markup, which covers their <script> blocks too
+const languageFor = (path) => {
+  if (isComponent(path)) return 'markup';
+  return path.match(/\.(ts|tsx)$/) ? 'tsx' : 'jsx';
+};
+
+const findMatches = (code, query) => {
+  if (!query) return [];
+  const needle = query.toLowerCase();
+  return code.split('\n').reduce((acc, line, i) => {
+    if (line.toLowerCase().includes(needle)) acc.push(i);
+    return acc;
+  }, []);
+};
+
+// One highlighted, line-numbered pane. Line indices are 0-based throughout.
+const CodePane = ({ title, code, language, paneRef, onScroll, marks, onLineClick }) => (
+  <div className="flex flex-col min-h-0 min-w-0">
+    <div className="px-4 py-2 text-xs font-semibold uppercase tracking-wider text-slate-500 border-b border-slate-800 bg-slate-900">
+      {title}
+    </div>
+    <div ref={paneRef} onScroll={onScroll} className="flex-grow overflow-auto bg-[#0d1117] custom-scrollbar">
+      <Highlight theme={themes.vsDark} code={code} language={language}>
+        {({ tokens, getLineProps, getTokenProps }) => (
+          <pre className="text-sm font-mono py-2 text-left" style={{ background: 'transparent' }}>
+            {tokens.map((line, i) => {
+              const lineProps = getLineProps({ line });
+              return (
+                <div
+                  key={i}
+                  {...lineProps}
+                  data-line={i}
+                  onClick={onLineClick ? () => onLineClick(i) : undefined}
+                  className={`${lineProps.className} flex ${marks(i)} ${onLineClick ? 'cursor-pointer hover:bg-slate-800/70' : ''}`}
+                >
+                  <span className="w-12 flex-shrink-0 pr-4 text-right text-slate-600 select-none">{i + 1}</span>
+                  <span className="whitespace-pre pr-4">
+                    {line.map((token, key) => <span key={key} {...getTokenProps({ token })} />)}
+                  </span>
+                </div>
+              );
+            })}
+          </pre>
+        )}
+      </Highlight>
+    </div>
+  </div>
+);
+
+const PreviewModal = ({ file, onClose, onCopy }) => {
+  const [syncScroll, setSyncScroll] = useState(true);
+  // Failed files open at the error location
+  const errorLine = file.errorDetail?.line != null ? file.errorDetail.line - 1 : null;
+  const [sourceLine, setSourceLine] = useState(errorLine);
+  const [query, setQuery] = useState('');
+  const [matchIndex, setMatchIndex] = useState(0);
+
+  const leftRef = useRef(null);
+  const rightRef = useRef(null);
+  const ignoreScrollRef = useRef(null); // pane whose next scroll event we caused ourselves
+
+  const lineMap = useMemo(() => (file.map ? decodeLineMappings(file.map) : null), [file.map]);
+  const typeLines = useMemo(() => new Set((file.typeLines || []).map(l => l - 1)), [file.typeLines]);
+  const diagnostics = file.diagnostics || [];
+  const notes = file.prepassNotes || [];
+  const diagnosticLines = useMemo(() => new Set((file.diagnostics || []).filter(d => d.line !== null).map(d => d.line - 1)), [file.diagnostics]);
+
+  const sourceMatches = useMemo(() => findMatches(file.inputContent, query), [file.inputContent, query]);
+  const outputMatches = useMemo(() => findMatches(file.content || '', query), [file.content, query]);
+  const matches = useMemo(() => [
+    ...sourceMatches.map(line => ({ pane: 'left', line })),
+    ...outputMatches.map(line => ({ pane: 'right', line }))
+  ], [sourceMatches, outputMatches]);
+  const current = matches[matchIndex] || null;
+
+  const scrollToLine = (pane, line) => {
+    const el = (pane === 'left' ? leftRef : rightRef).current;
+    const row = el?.querySelector(`[data-line="${line}"]`);
+    if (!row) return;
+    ignoreScrollRef.current = pane;
+    row.scrollIntoView({ block: 'center' });
+  };
+
+  useEffect(() => {
+    if (current) scrollToLine(current.pane, current.line);
+  }, [current]);
+
+  useEffect(() => {
+    if (sourceLine !== null) scrollToLine('left', sourceLine);
+  }, [sourceLine]);
+
+  const handleScroll = (from) => (e) => {
+    if (ignoreScrollRef.current === from) {
+      ignoreScrollRef.current = null;
+      return;
+    }
+    if (!syncScroll) return;
+
+    const src = e.currentTarget;
+    const dest = (from === 'left' ? rightRef : leftRef).current;
+    const ratio = src.scrollTop / Math.max(1, src.scrollHeight - src.clientHeight);
+    const next = ratio * (dest.scrollHeight - dest.clientHeight);
+    if (Math.abs(dest.scrollTop - next) < 1) return;
+
+    ignoreScrollRef.current = from === 'left' ? 'right' : 'left';
+    dest.scrollTop = next;
+  };
+
+  const jumpToSource = (outputLine) => {
+    const line = lineMap[outputLine];
+    if (line !== null && line !== undefined) setSourceLine(line);
+  };
+
+  const stepMatch = (delta) => {
+    if (matches.length === 0) return;
+    setMatchIndex(i => (i + delta + matches.length) % matches.length);
+  };
+
+  const marksFor = (pane, paneMatches) => (i) => {
+    if (current && current.pane === pane && current.line === i) return 'bg-amber-500/30';
+    if (paneMatches.includes(i)) return 'bg-amber-500/10';
+    if (pane === 'left' && errorLine === i) return 'bg-red-900/50';
+    if (pane === 'left' && sourceLine === i) return 'bg-blue-900/50';
+    if (pane === 'left' && diagnosticLines.has(i)) return 'bg-orange-900/40';
+    if (pane === 'left' && typeLines.has(i)) return 'bg-rose-950/60';
+    return '';
+  };
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/80 backdrop-blur-sm" onClick={onClose}></div>
+      <div className="bg-slate-900 border border-slate-700 rounded-xl shadow-2xl w-full max-w-screen-2xl h-[90vh] flex flex-col relative z-10 animate-in zoom-in-95 duration-200">
+        <div className="p-4 border-b border-slate-700 flex flex-wrap gap-3 justify-between items-center bg-slate-800 rounded-t-xl">
+          <div className="flex flex-col min-w-0">
+            <h3 className="text-white font-mono text-sm truncate" title={file.newPath}>
+              {file.newPath}
+            </h3>
+            <p className="text-xs text-slate-400 truncate" title={file.originalPath}>
+              Original: {file.originalPath}
+              {typeLines.size > 0 && (
+                <span className="text-slate-500">
+                  {' · '}<span className="inline-block w-2 h-2 rounded-sm bg-rose-800 align-middle"></span> {typeLines.size} lines with stripped types
+                </span>
+              )}
+              {lineMap && <span className="text-slate-500"> · click an output line to jump to its source</span>}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="flex items-center gap-1 bg-slate-900/60 border border-slate-700 rounded px-2">
+              <Search className="w-3.5 h-3.5 text-slate-500" />
+              <input
+                type="text"
+                value={query}
+                onChange={(e) => { setQuery(e.target.value); setMatchIndex(0); }}
+                onKeyDown={(e) => { if (e.key === 'Enter') stepMatch(e.shiftKey ? -1 : 1); }}
+                placeholder="Search"
+                className="bg-transparent text-xs text-slate-200 py-1.5 w-36 focus:outline-none"
+              />
+              {query && (
+                <span className="text-xs text-slate-500 whitespace-nowrap">
+                  {matches.length ? matchIndex + 1 : 0}/{matches.length}
+                </span>
+              )}
+              <button onClick={() => stepMatch(-1)} className="p-1 bg-transparent text-slate-400 hover:text-white" title="Previous match">
+                <ChevronUp className="w-3.5 h-3.5" />
+              </button>
+              <button onClick={() => stepMatch(1)} className="p-1 bg-transparent text-slate-400 hover:text-white" title="Next match">
+                <ChevronDown className="w-3.5 h-3.5" />
+              </button>
+            </div>
+            <button
+              onClick={() => setSyncScroll(s => !s)}
+              className={`px-3 py-1.5 rounded text-xs flex items-center gap-2 transition-colors ${syncScroll ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`}
+              title="Synchronize scrolling"
+            >
+              <Link2 className="w-3 h-3" /> Sync
+            </button>
+            <button
+              onClick={() => onCopy(file.content ?? file.error)}
+              className="px-3 py-1.5 rounded bg-slate-700 hover:bg-slate-600 text-slate-300 text-xs flex items-center gap-2 transition-colors"
+            >
+              <Copy className="w-3 h-3" /> Copy
+            </button>
+            <button onClick={onClose} className="text-slate-400 hover:text-white transition-colors p-1">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+        <div className={`flex-grow grid grid-cols-1 md:grid-cols-2 min-h-0 divide-y md:divide-y-0 md:divide-x divide-slate-800 overflow-hidden ${diagnostics.length > 0 || notes.length > 0 ? '' : 'rounded-b-xl'}`}>
+          <CodePane
+            title={`Source · ${file.originalName}`}
+            code={file.inputContent}
+            language={languageFor(file.originalPath)}
+            paneRef={leftRef}
+            onScroll={handleScroll('left')}
+            marks={marksFor('left', sourceMatches)}
+          />
+          {file.content !== null ? (
+            <CodePane
+              title={`Output · ${file.newName}`}
+              code={file.content}
+              language={languageFor(file.newPath)}
+              paneRef={rightRef}
+              onScroll={handleScroll('right')}
+              marks={marksFor('right', outputMatches)}
+              onLineClick={lineMap ? jumpToSource : undefined}
+            />
+          ) : (
+            <div className="flex flex-col min-h-0 min-w-0">
+              <div className="px-4 py-2 text-xs font-semibold uppercase tracking-wider text-red-400 border-b border-slate-800 bg-slate-900">
+                Error{errorLine !== null && ` · line ${file.errorDetail.line}, column ${file.errorDetail.column}`}
+              </div>
+              <div ref={rightRef} className="flex-grow overflow-auto bg-[#0d1117] p-4 text-left">
+                <p className="text-sm text-red-400 font-mono mb-4 whitespace-pre-wrap">{file.error}</p>
+                {file.errorDetail?.hint && (
+                  <p className="text-sm text-amber-400 mb-4">{file.errorDetail.hint}</p>
+                )}
+                {file.errorDetail?.codeFrame && (
+                  <pre className="text-sm text-slate-300 font-mono">{file.errorDetail.codeFrame}</pre>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+        {notes.length > 0 && (
+          <div className={`max-h-32 overflow-y-auto custom-scrollbar border-t border-slate-700 bg-slate-900 px-4 py-2 text-left ${diagnostics.length > 0 ? '' : 'rounded-b-xl'}`}>
+            <p className="text-xs font-semibold uppercase tracking-wider text-sky-400 mb-1">Conversion notes · {notes.length}</p>
+            {notes.map((n, i) => (
+              <button
+                key={i}
+                onClick={() => n.line !== null && setSourceLine(n.line - 1)}
+                className={`block w-full text-left text-xs font-mono whitespace-pre-wrap bg-transparent px-0 py-0.5 hover:text-white ${n.fixed ? 'text-slate-400' : 'text-amber-300'}`}
+              >
+                {formatNote(n)}
+              </button>
+            ))}
+          </div>
+        )}
+        {diagnostics.length > 0 && (
+          <div className="max-h-40 overflow-y-auto custom-scrollbar border-t border-slate-700 bg-slate-900 rounded-b-xl px-4 py-2 text-left">
+            <p className="text-xs font-semibold uppercase tracking-wider text-orange-400 mb-1">Type-check · {diagnostics.length}</p>
+            {diagnostics.map((d, i) => (
+              <button
+                key={i}
+                onClick={() => d.line !== null && setSourceLine(d.line - 1)}
+                className={`block w-full text-left text-xs font-mono whitespace-pre-wrap bg-transparent px-0 py-0.5 hover:text-white ${d.category === 'error' ? 'text-orange-300' : 'text-slate-400'}`}
+              >
+                {formatDiagnostic(d)}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PreviewModal;
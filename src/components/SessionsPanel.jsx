@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { Save, ChevronDown, FolderOpen, Trash2 } from 'lucide-react';
+
+const formatDate = (time) => new Date(time).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+
+const SessionsPanel = ({ sessions, current, canSave, onSave, onLoad, onDelete, disabled }) => {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState('');
+
+  const save = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    onSave(trimmed);
+    setName('');
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-2xl shadow-xl">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className="w-full p-6 flex items-center justify-between bg-transparent"
+      >
+        <span className="flex items-center gap-2">
+          <Save className="text-blue-400 w-5 h-5" />
+          <span className="text-white font-semibold">Sessions</span>
+          {current && <span className="text-xs text-slate-500 font-mono truncate">{current}</span>}
+        </span>
+        <ChevronDown className={`w-4 h-4 text-slate-400 transition-transform ${open ? 'rotate-180' : ''}`} />
+      </button>
+
+      {open && (
+        <fieldset disabled={disabled} className="px-6 pb-6 space-y-4 text-left disabled:opacity-60">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') save(); }}
+              placeholder={current || 'Session name'}
+              className="flex-grow min-w-0 bg-slate-900/60 border border-slate-700 rounded-lg px-3 py-2 text-sm text-slate-200 focus:outline-none focus:border-blue-500"
+            />
+            <button
+              onClick={save}
+              disabled={!canSave || !name.trim()}
+              className="px-3 py-2 rounded-lg bg-blue-600 hover:bg-blue-500 disabled:opacity-50 text-white text-sm font-medium"
+            >
+              Save
+            </button>
+          </div>
+
+          {sessions.length === 0 ? (
+            <p className="text-xs text-slate-500">No saved sessions yet.</p>
+          ) : (
+            <div className="space-y-2 max-h-64 overflow-y-auto custom-scrollbar">
+              {sessions.map(s => (
+                <div key={s.name} className="flex items-center gap-2 bg-slate-900/60 border border-slate-700 rounded-lg px-3 py-2">
+                  <div className="flex-grow min-w-0">
+                    <p className={`text-sm truncate ${s.name === current ? 'text-blue-300' : 'text-slate-200'}`} title={s.name}>{s.name}</p>
+                    <p className="text-xs text-slate-500">{s.fileCount} files · {formatDate(s.savedAt)}</p>
+                  </div>
+                  <button onClick={() => onLoad(s.name)} className="p-1.5 bg-transparent text-slate-400 hover:text-blue-400" title="Open session">
+                    <FolderOpen className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => onDelete(s.name)} className="p-1.5 bg-transparent text-slate-400 hover:text-red-500" title="Delete session">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </fieldset>
+      )}
+    </div>
+  );
+};
+
+export default SessionsPanel;
@@ -0,0 +1,62 @@
+import React, { useState, useMemo } from 'react';
+import { BarChart3, ChevronDown } from 'lucide-react';
+import { sizeReport, formatBytes, formatChange } from '../lib/sizes.js';
+
+// Big projects only list their largest outputs; the totals still cover every file
+const ROW_LIMIT = 200;
+
+const SizeTable = ({ files, onOpen }) => {
+  const report = useMemo(() => sizeReport(files), [files]);
+
+  return (
+    <div className="px-6 pb-6 text-left">
+      <div className="bg-slate-900/60 border border-slate-700 rounded-lg px-3 py-2 mb-3 flex items-center justify-between text-sm">
+        <span className="text-slate-300">{formatBytes(report.input)} → {formatBytes(report.output)}</span>
+        <span className={report.output <= report.input ? 'text-emerald-400' : 'text-amber-400'}>
+          {formatChange(report.input, report.output)}
+        </span>
+      </div>
+
+      <div className="space-y-1 max-h-80 overflow-y-auto custom-scrollbar">
+        {report.rows.slice(0, ROW_LIMIT).map(({ file, input, output }) => (
+          <button
+            key={file.id}
+            onClick={() => onOpen(file)}
+            className="w-full grid grid-cols-[1fr_auto] gap-x-3 text-left bg-transparent hover:bg-slate-900/60 rounded px-2 py-1"
+          >
+            <span className="text-xs font-mono text-slate-300 truncate" title={file.newPath}>{file.newPath}</span>
+            <span className="text-xs text-slate-500 text-right">{formatChange(input, output)}</span>
+            <span className="text-xs text-slate-500">{formatBytes(input)} → {formatBytes(output)}</span>
+          </button>
+        ))}
+      </div>
+      {report.rows.length > ROW_LIMIT && (
+        <p className="text-xs text-slate-500 mt-2">Showing the {ROW_LIMIT} largest of {report.rows.length} files.</p>
+      )}
+    </div>
+  );
+};
+
+const SizeReport = ({ files, onOpen }) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-2xl shadow-xl">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className="w-full p-6 flex items-center justify-between bg-transparent"
+      >
+        <span className="flex items-center gap-2">
+          <BarChart3 className="text-blue-400 w-5 h-5" />
+          <span className="text-white font-semibold">Size Report</span>
+        </span>
+        <ChevronDown className={`w-4 h-4 text-slate-400 transition-transform ${open ? 'rotate-180' : ''}`} />
+      </button>
+
+      {/* Sizes are only measured while the report is open */}
+      {open && <SizeTable files={files} onOpen={onOpen} />}
+    </div>
+  );
+};
+
+export default SizeReport;
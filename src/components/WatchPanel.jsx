@@ -0,0 +1,59 @@
+import React from 'react';
+import { Eye, EyeOff, FolderSync, X } from 'lucide-react';
+
+const KIND_STYLES = {
+  change: 'text-slate-300',
+  build: 'text-emerald-400',
+  write: 'text-blue-400',
+  error: 'text-red-400'
+};
+
+const formatTime = (time) => time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+const WatchPanel = ({ watch, log, onToggle, onWriteBackChange, onClose }) => (
+  <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-2xl p-6 shadow-xl text-left">
+    <div className="flex items-center justify-between mb-4">
+      <h3 className="text-white font-semibold flex items-center gap-2 min-w-0">
+        <FolderSync className="text-blue-400 w-5 h-5 flex-shrink-0" />
+        <span className="truncate font-mono text-sm" title={watch.name}>{watch.name}</span>
+      </h3>
+      <button onClick={onClose} className="text-slate-400 hover:text-white bg-transparent p-1" title="Close folder">
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+
+    <button
+      onClick={onToggle}
+      className={`w-full py-2.5 rounded-xl font-semibold flex items-center justify-center gap-2 transition-colors mb-3 ${watch.active ? 'bg-emerald-600 hover:bg-emerald-500 text-white' : 'bg-slate-700 hover:bg-slate-600 text-slate-200'}`}
+    >
+      {watch.active ? <Eye className="w-4 h-4" /> : <EyeOff className="w-4 h-4" />}
+      {watch.active ? 'Watching for changes' : 'Start watching'}
+    </button>
+
+    <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer mb-4">
+      <input
+        type="checkbox"
+        checked={watch.writeBack}
+        onChange={(e) => onWriteBackChange(e.target.checked)}
+        className="accent-blue-500"
+      />
+      Write rebuilt output back to the folder
+    </label>
+
+    <h4 className="text-xs font-semibold uppercase tracking-wider text-slate-500 mb-2">Rebuild log</h4>
+    {log.length === 0 ? (
+      <p className="text-xs text-slate-500">Nothing rebuilt yet.</p>
+    ) : (
+      <div className="max-h-56 overflow-y-auto custom-scrollbar space-y-1">
+        {log.map(entry => (
+          <p key={entry.id} className="text-xs font-mono break-words">
+            <span className="text-slate-500">{formatTime(entry.time)} </span>
+            <span className={KIND_STYLES[entry.kind]}>{entry.message}</span>
+          </p>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+export default WatchPanel;
@@ -0,0 +1,104 @@
+import JSZip from 'jszip';
+import { basename, normalize } from './paths.js';
+import { withRelativePath } from './projectFiles.js';
+
+// --- Archive Import ---
+// .zip and .tar(.gz) projects are unpacked in the browser into File objects that look like a
+// folder upload: each one carries a webkitRelativePath under a single root folder, so the rest
+// of the pipeline (classification, tsconfig lookup, globs) treats them the same way.
+
+const ARCHIVE_PATTERN = /\.(zip|tar|tar\.gz|tgz)$/i;
+
+// OS metadata that archivers like to slip in
+const JUNK_PATTERN = /(^|\/)(__MACOSX\/|\.DS_Store$)/;
+
+export const isArchive = (file) => ARCHIVE_PATTERN.test(file.name);
+
+const archiveBaseName = (name) => name.replace(ARCHIVE_PATTERN, '') || 'archive';
+
+const withPath = (blob, path) => withRelativePath(new File([blob], basename(path), { lastModified: Date.now() }), path);
+
+const readZip = async (file) => {
+  const zip = await JSZip.loadAsync(file);
+  const entries = Object.values(zip.files).filter(entry => !entry.dir);
+  return Promise.all(entries.map(async entry => ({ path: entry.name, blob: await entry.async('blob') })));
+};
+
+// --- Tar ---
+
+const decoder = new TextDecoder();
+
+const readString = (bytes, offset, length) => {
+  const field = bytes.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return decoder.decode(end === -1 ? field : field.subarray(0, end));
+};
+
+const readOctal = (bytes, offset, length) => parseInt(readString(bytes, offset, length).trim() || '0', 8);
+
+// PAX extended headers are "<length> <key>=<value>\n" records
+const readPaxPath = (text) => {
+  const match = text.match(/^\d+ path=(.*)$/m);
+  return match ? match[1] : null;
+};
+
+export const parseTar = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+
+  while (offset + 512 <= bytes.length) {
+    const header = bytes.subarray(offset, offset + 512);
+    if (header.every(b => b === 0)) break; // end-of-archive marker
+
+    const size = readOctal(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 48);
+    const dataStart = offset + 512;
+    const data = bytes.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / 512) * 512;
+
+    if (type === 'x') {
+      longName = readPaxPath(decoder.decode(data));
+      continue;
+    }
+    if (type === 'L') {
+      longName = readString(data, 0, size);
+      continue;
+    }
+
+    const prefix = readString(header, 345, 155);
+    const name = longName || (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+    longName = null;
+
+    // Only regular files; directories, links and global headers ('g') are skipped
+    if (type === '0' || type === '7') entries.push({ path: name, blob: new Blob([data]) });
+  }
+
+  return entries;
+};
+
+const readTar = async (file) => {
+  const stream = /\.(tar\.gz|tgz)$/i.test(file.name)
+    ? file.stream().pipeThrough(new DecompressionStream('gzip'))
+    : file.stream();
+  return parseTar(await new Response(stream).arrayBuffer());
+};
+
+// Returns { root, files } where every file path starts with `root/`. Archives that already
+// wrap everything in one folder (GitHub exports, `npm pack`) keep that folder as the root;
+// otherwise the archive's own name is used.
+export const extractArchive = async (file) => {
+  const entries = (/\.zip$/i.test(file.name) ? await readZip(file) : await readTar(file))
+    .map(entry => ({ ...entry, path: normalize(entry.path) }))
+    .filter(entry => entry.path && !JUNK_PATTERN.test(entry.path));
+
+  const first = entries[0]?.path.split('/')[0];
+  const wrapped = entries.length > 0 && entries.every(e => e.path.includes('/') && e.path.split('/')[0] === first);
+  const root = wrapped ? first : archiveBaseName(file.name);
+
+  return {
+    root,
+    files: entries.map(({ path, blob }) => withPath(blob, wrapped ? path : `${root}/${path}`))
+  };
+};
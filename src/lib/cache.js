@@ -0,0 +1,60 @@
+import { request, withStore } from './db.js';
+
+// --- Transpile Result Cache ---
+// Successful worker results are kept in IndexedDB under a SHA-256 of everything that shapes
+// the output: source text, Babel options, the import-rewrite setup, the output format and what
+// the project pre-pass found for the file.
+// Anything that fails (private mode, quota, no IndexedDB) just behaves like an empty cache.
+
+const STORE = 'results';
+
+// Bump whenever the worker's output can change for identical input (Babel upgrade, plugin fixes)
+const CACHE_VERSION = 2;
+
+// Sources read (and hashed) at a time when looking a batch up
+export const HASH_CHUNK_SIZE = 50;
+
+export const hashText = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// `context` is shared by a whole batch (e.g. a hash of the file index), so it's hashed once
+export const cacheKey = (task, context) => hashText(JSON.stringify([
+  CACHE_VERSION,
+  context,
+  task.path,
+  task.content,
+  task.options,
+  task.rewrite,
+  task.output,
+  task.prepass
+]));
+
+// Returns a Map of key → cached result for the keys that were found
+export const getCached = async (keys) => {
+  try {
+    const values = await withStore(STORE, 'readonly', store => Promise.all(keys.map(key => request(store.get(key)))));
+    return new Map(keys.map((key, i) => [key, values[i]]).filter(([, value]) => value !== undefined));
+  } catch {
+    return new Map();
+  }
+};
+
+export const putCached = async (key, value) => {
+  try {
+    await withStore(STORE, 'readwrite', store => request(store.put(value, key)));
+  } catch {
+    // Quota exceeded or storage disabled - the next run simply misses
+  }
+};
+
+export const countCached = async () => {
+  try {
+    return await withStore(STORE, 'readonly', store => request(store.count()));
+  } catch {
+    return 0;
+  }
+};
+
+export const clearCache = () => withStore(STORE, 'readwrite', store => request(store.clear()));
@@ -0,0 +1,21 @@
+// --- Class Fields After Type Stripping ---
+// [[Set]] semantics and legacy decorators both need Babel's class-properties transform. It has to
+// see the class as JavaScript, after the typescript preset has removed `declare` fields and the
+// like, so it runs from a preset listed before 'typescript' (presets run last to first).
+
+// tsc with useDefineForClassFields: false emits nothing for a field without an initializer, so a
+// value set by a base class or a decorator isn't overwritten with undefined
+const setFieldsPlugin = () => ({
+  visitor: {
+    // On the class rather than its fields: class-properties rewrites the whole class on entry
+    Class(path) {
+      path.get('body.body')
+        .filter(member => member.isClassProperty() && !member.node.value && !member.node.decorators?.length)
+        .forEach(member => member.remove());
+    }
+  }
+});
+
+export const classFieldsPreset = (classPropertiesPlugin) => (api, { set = false } = {}) => ({
+  plugins: set ? [setFieldsPlugin, classPropertiesPlugin] : [classPropertiesPlugin]
+});
@@ -0,0 +1,291 @@
+// --- Single-File Components ---
+// Vue, Svelte and Astro files keep their markup; only the TypeScript inside them is converted.
+// That's every <script lang="ts"> block, plus an Astro component's frontmatter. Everything
+// outside those blocks is copied through byte for byte.
+
+const COMPONENT_PATTERN = /\.(vue|svelte|astro)$/;
+
+export const isComponent = (name) => COMPONENT_PATTERN.test(name);
+
+// Attribute values may contain '>' (Vue's generic="T extends Record<string, unknown>")
+const SCRIPT_TAG = /<script\b((?:\s+[^\s=>"'/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>"']+))?)*)\s*>/gi;
+const SCRIPT_END = /<\/script\s*>/gi;
+const TS_LANG = /\s+lang\s*=\s*(["']?)(?:ts|typescript)\1(?=[\s>]|$)/i;
+// Vue's type parameters for <script setup>; they mean nothing once the types are gone
+const VUE_GENERIC = /\s+generic\s*=\s*(?:"[^"]*"|'[^']*')/i;
+const COMMENT = /<!--[\s\S]*?-->/g;
+const FRONTMATTER = /^(\s*---[^\S\r\n]*\r?\n)([\s\S]*?)\r?\n---/;
+
+const positionOf = (text, offset) => {
+  const before = text.slice(0, offset);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return { line: before.split('\n').length, column: offset - lineStart };
+};
+
+// TypeScript blocks in source order: { start, end } is the code, { tagStart, tagEnd } the opening
+// tag (null for frontmatter) and `tag` what it becomes. `line`/`column` locate `start` (1-based
+// line, 0-based column, like Babel).
+export const findTsBlocks = (text, name) => {
+  const skipped = [...text.matchAll(COMMENT)].map(m => [m.index, m.index + m[0].length]);
+  const blocks = [];
+
+  const frontmatter = name.endsWith('.astro') && text.match(FRONTMATTER);
+  if (frontmatter) {
+    const start = frontmatter[1].length;
+    blocks.push({ start, end: start + frontmatter[2].length, tagStart: null, tagEnd: null, tag: null });
+    skipped.push([0, frontmatter[0].length]);
+  }
+
+  SCRIPT_TAG.lastIndex = 0;
+  let match;
+  while ((match = SCRIPT_TAG.exec(text))) {
+    const tagStart = match.index;
+    const tagEnd = tagStart + match[0].length;
+    if (skipped.some(([from, to]) => tagStart >= from && tagStart < to)) continue;
+
+    SCRIPT_END.lastIndex = tagEnd;
+    const close = SCRIPT_END.exec(text);
+    if (!close) break;
+    SCRIPT_TAG.lastIndex = close.index + close[0].length;
+
+    const attributes = match[1];
+    if (!TS_LANG.test(attributes)) continue;
+    let tag = match[0].replace(TS_LANG, '');
+    if (name.endsWith('.vue')) tag = tag.replace(VUE_GENERIC, '');
+    blocks.push({ start: tagEnd, end: close.index, tagStart, tagEnd, tag });
+  }
+
+  return blocks
+    .sort((a, b) => a.start - b.start)
+    .map(block => ({ ...block, ...positionOf(text, block.start) }));
+};
+
+// Vue turns defineProps<Props>() and defineEmits<Events>() into runtime declarations using the
+// type, which is gone once the block is JavaScript. So the plugin writes those declarations
+// itself, the way Vue's compiler would, from a type literal or an interface/type alias in the
+// same block. A type it can't follow (an import, a generic, a mapped type) leaves the whole
+// block as TypeScript: it throws an error with the warning as `keepBlock`. It all happens on
+// Program entry, while the types are still there.
+const TYPED_MACROS = ['defineProps', 'defineEmits'];
+
+// Types whose runtime check is the global constructor of the same name
+const CONSTRUCTOR_TYPES = ['String', 'Number', 'Boolean', 'BigInt', 'Symbol', 'Object', 'Function', 'Array',
+  'Date', 'RegExp', 'Error', 'Map', 'Set', 'WeakMap', 'WeakSet', 'Promise'];
+const OBJECT_TYPES = ['Record', 'Partial', 'Required', 'Readonly', 'Pick', 'Omit'];
+
+const keepBlock = (node, message) => Object.assign(new Error(message), { keepBlock: message, loc: node.loc.start });
+
+export const typedMacrosPlugin = ({ types: t }) => {
+  // Interfaces and type aliases declared at the top of the block, by name
+  const declarationsOf = (program) => new Map(program.node.body
+    .map(statement => (statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement))
+    .filter(d => d && (d.type === 'TSInterfaceDeclaration' || d.type === 'TSTypeAliasDeclaration') && !d.typeParameters)
+    .map(d => [d.id.name, d]));
+
+  // Constructor names for a prop's `type`, with 'null' for "anything" (as in Vue's own output)
+  const runtimeTypes = (type, declarations, seen = new Set()) => {
+    switch (type.type) {
+      case 'TSStringKeyword':
+      case 'TSTemplateLiteralType':
+        return ['String'];
+      case 'TSNumberKeyword':
+        return ['Number'];
+      case 'TSBooleanKeyword':
+        return ['Boolean'];
+      case 'TSBigIntKeyword':
+        return ['BigInt'];
+      case 'TSSymbolKeyword':
+        return ['Symbol'];
+      case 'TSNullKeyword':
+        return ['null'];
+      case 'TSObjectKeyword':
+      case 'TSTypeLiteral':
+      case 'TSMappedType':
+        return ['Object'];
+      case 'TSFunctionType':
+      case 'TSConstructorType':
+        return ['Function'];
+      case 'TSArrayType':
+      case 'TSTupleType':
+        return ['Array'];
+      case 'TSTypeOperator':
+        return runtimeTypes(type.typeAnnotation, declarations, seen);
+      case 'TSLiteralType': {
+        const { literal } = type;
+        if (literal.type === 'StringLiteral' || literal.type === 'TemplateLiteral') return ['String'];
+        if (literal.type === 'BooleanLiteral') return ['Boolean'];
+        return literal.type === 'BigIntLiteral' ? ['BigInt'] : ['Number'];
+      }
+      case 'TSUnionType': {
+        const members = type.types.filter(m => m.type !== 'TSUndefinedKeyword').map(m => runtimeTypes(m, declarations, seen));
+        return members.some(m => m.length === 0) ? [] : [...new Set(members.flat())];
+      }
+      case 'TSTypeReference': {
+        const name = type.typeName.type === 'Identifier' ? type.typeName.name : null;
+        const declaration = declarations.get(name);
+        if (declaration && !seen.has(name)) {
+          if (declaration.type === 'TSInterfaceDeclaration') return ['Object'];
+          return runtimeTypes(declaration.typeAnnotation, declarations, new Set([...seen, name]));
+        }
+        if (name === 'ReadonlyArray') return ['Array'];
+        if (OBJECT_TYPES.includes(name)) return ['Object'];
+        return CONSTRUCTOR_TYPES.includes(name) ? [name] : [];
+      }
+      default:
+        return [];
+    }
+  };
+
+  // The members of an object type, following same-block interfaces (and what they extend) and
+  // aliases of type literals and intersections
+  const membersOf = (type, declarations, macro) => {
+    if (type.type === 'TSTypeLiteral') return type.members;
+    if (type.type === 'TSIntersectionType') return type.types.flatMap(part => membersOf(part, declarations, macro));
+    const name = type.type === 'TSTypeReference' && !type.typeParameters && type.typeName.type === 'Identifier'
+      ? type.typeName.name
+      : null;
+    const declaration = declarations.get(name);
+    if (!declaration) throw keepBlock(type, `${macro}<...>() uses a type that isn't declared in this block, so the block was left as TypeScript.`);
+    if (declaration.type === 'TSTypeAliasDeclaration') return membersOf(declaration.typeAnnotation, declarations, macro);
+    return [
+      ...(declaration.extends || []).flatMap(heritage => membersOf(
+        { type: 'TSTypeReference', typeName: heritage.expression, typeParameters: heritage.typeParameters, loc: heritage.loc },
+        declarations,
+        macro
+      )),
+      ...declaration.body.body
+    ];
+  };
+
+  const memberKey = (member) => {
+    if (member.computed) return null;
+    if (member.key.type === 'Identifier') return member.key.name;
+    return member.key.type === 'StringLiteral' ? member.key.value : null;
+  };
+
+  const propsDeclaration = (type, declarations, defaults) => t.objectExpression(membersOf(type, declarations, 'defineProps').map(member => {
+    const key = (member.type === 'TSPropertySignature' || member.type === 'TSMethodSignature') && memberKey(member);
+    if (!key) throw keepBlock(member, 'defineProps<...>() has a member Vue can\'t declare at runtime, so the block was left as TypeScript.');
+    const types = member.type === 'TSMethodSignature'
+      ? ['Function']
+      : runtimeTypes(member.typeAnnotation.typeAnnotation, declarations);
+    const typeNodes = types.map(name => (name === 'null' ? t.nullLiteral() : t.identifier(name)));
+    const options = [
+      t.objectProperty(t.identifier('type'), typeNodes.length === 0 ? t.nullLiteral() : typeNodes.length === 1 ? typeNodes[0] : t.arrayExpression(typeNodes)),
+      t.objectProperty(t.identifier('required'), t.booleanLiteral(!member.optional))
+    ];
+    if (defaults.has(key)) options.push(t.objectProperty(t.identifier('default'), defaults.get(key)));
+    return t.objectProperty(t.isValidIdentifier(key) ? t.identifier(key) : t.stringLiteral(key), t.objectExpression(options));
+  }));
+
+  // Event names from call signatures, `(e: 'change', id: number): void`, or the shorter
+  // `{ change: [id: number] }` form
+  const emitsDeclaration = (type, declarations) => {
+    const signatures = type.type === 'TSFunctionType' ? [type] : membersOf(type, declarations, 'defineEmits');
+    return t.arrayExpression([...new Set(signatures.flatMap(member => {
+      if (member.type === 'TSPropertySignature' && memberKey(member)) return [memberKey(member)];
+      const event = (member.type === 'TSCallSignatureDeclaration' || member.type === 'TSFunctionType') && member.parameters[0]?.typeAnnotation?.typeAnnotation;
+      const literals = event && (event.type === 'TSUnionType' ? event.types : [event]);
+      if (!literals || !literals.every(l => l.type === 'TSLiteralType' && l.literal.type === 'StringLiteral')) {
+        throw keepBlock(member, 'defineEmits<...>() has an event Vue can\'t declare at runtime, so the block was left as TypeScript.');
+      }
+      return literals.map(l => l.literal.value);
+    }))].map(name => t.stringLiteral(name)));
+  };
+
+  const convertMacro = (path, declarations) => {
+    const { callee, typeParameters, arguments: args } = path.node;
+    if (!typeParameters || callee.type !== 'Identifier' || !TYPED_MACROS.includes(callee.name)) return;
+    const type = typeParameters.params[0];
+    if (args.length > 0) throw keepBlock(path.node, `${callee.name}() takes a type or arguments, not both.`);
+
+    if (callee.name === 'defineEmits') {
+      path.replaceWith(t.callExpression(callee, [emitsDeclaration(type, declarations)]));
+      return;
+    }
+
+    // withDefaults() only takes a type-based defineProps(), so its defaults move into the declaration
+    const wrapper = path.parentPath.isCallExpression() && t.isIdentifier(path.parent.callee, { name: 'withDefaults' }) && path.parent.arguments[0] === path.node
+      ? path.parentPath
+      : null;
+    const defaults = new Map();
+    const given = wrapper?.node.arguments[1];
+    if (given) {
+      if (given.type !== 'ObjectExpression') throw keepBlock(given, 'withDefaults() needs its defaults written out as an object, so the block was left as TypeScript.');
+      given.properties.forEach(property => {
+        const key = property.type !== 'SpreadElement' && memberKey(property);
+        if (!key) throw keepBlock(property, 'withDefaults() has a default Vue can\'t declare at runtime, so the block was left as TypeScript.');
+        defaults.set(key, property.type === 'ObjectMethod'
+          ? t.functionExpression(null, property.params, property.body, property.generator, property.async)
+          : property.value);
+      });
+    }
+    (wrapper || path).replaceWith(t.callExpression(callee, [propsDeclaration(type, declarations, defaults)]));
+  };
+
+  return {
+    visitor: {
+      Program(program) {
+        const declarations = declarationsOf(program);
+        program.traverse({ CallExpression: (path) => convertMacro(path, declarations) });
+      }
+    }
+  };
+};
+
+// The typescript preset (and the JSDoc mode, for a block of only types) ends a block whose
+// imports and exports were all types with `export {};` to keep it a module. A component's script
+// is already one, and Svelte rejects the statement, so the ones Babel added go again. Comments
+// they carried stay, after the statement before or inside an otherwise empty block.
+export const componentModulePlugin = ({ types: t }) => ({
+  post(file) {
+    file.path.get('body').forEach(statement => {
+      const { node } = statement;
+      if (!statement.isExportNamedDeclaration() || node.loc || node.declaration || node.source || node.specifiers.length > 0) return;
+      const comments = node.leadingComments || [];
+      const previous = statement.key > 0 ? statement.getSibling(statement.key - 1).node : null;
+      if (previous) t.addComments(previous, 'trailing', comments);
+      else t.addComments(file.ast.program, 'inner', comments);
+      node.leadingComments = null;
+      statement.remove();
+    });
+  }
+});
+
+// What Babel sees for a block: the code at the same line and column as in the component, so
+// error positions, code frames, type lines and source maps all refer to the component file
+export const blockSource = (text, block) => '\n'.repeat(block.line - 1) + ' '.repeat(block.column) + text.slice(block.start, block.end);
+
+// Puts the converted code of each block back. `outputs[i]` is the code for `blocks[i]`, or null
+// to leave a block as it was (e.g. one that's only whitespace). The original whitespace around
+// each block is kept, minus the indentation of its first line.
+// Returns the new text and, per block, where its code starts: { line, column } (0-based).
+export const spliceBlocks = (text, blocks, outputs) => {
+  let content = '';
+  let last = 0;
+  const starts = [];
+
+  blocks.forEach((block, i) => {
+    if (block.tag !== null) {
+      content += text.slice(last, block.tagStart) + block.tag;
+      last = block.tagEnd;
+    }
+    content += text.slice(last, block.start);
+    last = block.end;
+
+    const code = text.slice(block.start, block.end);
+    if (outputs[i] === null) {
+      starts.push(null);
+      content += code;
+      return;
+    }
+    const leading = code.match(/^\s*/)[0];
+    const trailing = code.slice(leading.length).match(/\s*$/)[0];
+    content += leading.includes('\n') ? leading.slice(0, leading.lastIndexOf('\n') + 1) : leading;
+    const before = content.split('\n');
+    starts.push({ line: before.length - 1, column: before[before.length - 1].length });
+    content += outputs[i] + trailing;
+  });
+
+  return { content: content + text.slice(last), starts };
+};
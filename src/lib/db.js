@@ -0,0 +1,46 @@
+// --- IndexedDB ---
+// One database for everything the app keeps between visits. Each version step only adds
+// stores, so older databases upgrade in place.
+
+const DB_NAME = 'transpile-box';
+const DB_VERSION = 2;
+
+// Store name → the version that introduced it
+const STORES = {
+  results: 1, // lib/cache.js
+  sessions: 2 // lib/sessions.js
+};
+
+let dbPromise = null;
+
+export const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      Object.entries(STORES).forEach(([name, since]) => {
+        if (since > e.oldVersion) req.result.createObjectStore(name);
+      });
+    };
+    dbPromise = request(req);
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Runs `run(objectStore)` in a transaction and resolves once that transaction has committed
+export const withStore = async (store, mode, run) => {
+  const db = await openDb();
+  const tx = db.transaction(store, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const [result] = await Promise.all([run(tx.objectStore(store)), done]);
+  return result;
+};
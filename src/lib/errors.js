@@ -0,0 +1,81 @@
+// --- Structured Transpile Errors ---
+// Babel folds the filename, position and code frame into error.message, e.g.
+//   "/src/a.ts: Unexpected token (1:21)\n\n> 1 | ...\n    |  ^\n\nhint..."
+// These helpers pull them apart so the UI can show and export them separately.
+
+const POSITION_SUFFIX = /\s*\(\d+:\d+\):?$/;
+
+const DECORATORS_HINT = 'This file uses decorators. Choose a decorator mode under Options (Legacy for Angular, NestJS and TypeORM).';
+
+export const parseBabelError = (error, filename) => {
+  const [head, ...blocks] = error.message.split('\n\n');
+
+  const prefixEnd = head.indexOf(`${filename}: `);
+  const message = (prefixEnd === -1 ? head : head.slice(prefixEnd + filename.length + 2))
+    .replace(POSITION_SUFFIX, '');
+
+  const codeFrame = blocks.find(block => /^\s*>?\s*\d+ \|/m.test(block)) || null;
+
+  return {
+    message,
+    // Babel columns are 0-based; reported positions are 1-based like editors
+    line: error.loc ? error.loc.line : null,
+    column: error.loc ? error.loc.column + 1 : null,
+    codeFrame,
+    hint: (error.missingPlugin || []).some(p => p.startsWith('decorators')) ? DECORATORS_HINT : null
+  };
+};
+
+const errorEntries = (files) => files
+  .filter(f => f.error)
+  .map(f => ({
+    file: f.originalPath,
+    message: f.error,
+    line: f.errorDetail?.line ?? null,
+    column: f.errorDetail?.column ?? null,
+    codeFrame: f.errorDetail?.codeFrame ?? null,
+    hint: f.errorDetail?.hint ?? null
+  }));
+
+export const formatErrorsText = (files) => errorEntries(files)
+  .map(e => {
+    const position = e.line !== null ? `:${e.line}:${e.column}` : '';
+    const frame = e.codeFrame ? `\n${e.codeFrame}` : '';
+    const hint = e.hint ? `\n${e.hint}` : '';
+    return `${e.file}${position} - ${e.message}${frame}${hint}`;
+  })
+  .join('\n\n');
+
+export const formatErrorsJson = (files) => JSON.stringify(errorEntries(files), null, 2);
+
+// --- Type-check Diagnostics ---
+// Produced by the opt-in TypeScript pass (lib/tsProgram.js); unlike transpile errors they
+// don't stop a file from converting.
+
+export const typeErrorsOf = (file) => (file.diagnostics || []).filter(d => d.category === 'error');
+
+export const formatDiagnostic = (d) => {
+  const position = d.line !== null ? `${d.line}:${d.column} ` : '';
+  return `${position}TS${d.code}: ${d.message}`;
+};
+
+const SOURCE_MAP_COMMENT = /\n\/\/# sourceMappingURL=[^\n]*\n?$/;
+
+// Appends a comment listing the errors. It goes after the code (but before any sourceMappingURL
+// comment) so existing source map line mappings stay valid.
+export const markTypeErrors = (content, diagnostics) => {
+  const lines = diagnostics.map(d => ` * ${formatDiagnostic(d).replace(/\*\//g, '* /').split('\n').join('\n *   ')}`);
+  const note = `/* Type errors reported by the type-check pass:\n${lines.join('\n')}\n */`;
+  const mapComment = content.match(SOURCE_MAP_COMMENT);
+  if (!mapComment) return `${content.replace(/\n?$/, '\n')}${note}\n`;
+  return `${content.slice(0, mapComment.index)}\n${note}${mapComment[0]}`;
+};
+
+// --- Project Pre-pass Notes ---
+// What lib/prepass.js did or couldn't do for a file: { line, message, fixed }. Unfixed ones mean
+// the output may still be wrong when run, so they're shown like warnings. A component block
+// left as TypeScript (see lib/components.js) gets one too.
+
+export const warningNotesOf = (file) => (file.prepassNotes || []).filter(n => !n.fixed);
+
+export const formatNote = (n) => `${n.line !== null ? `${n.line} ` : ''}${n.message}`;
@@ -0,0 +1,32 @@
+// --- File List Filters ---
+// Narrow the output list down by status, extension and a free-text search over both paths.
+
+export const STATUS_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'error', label: 'Errors' },
+  { value: 'idle', label: 'Not converted' }, // added, but not queued yet
+  { value: 'pending', label: 'Pending' }, // queued or converting
+  { value: 'complete', label: 'Complete' }
+];
+
+export const DEFAULT_FILTER = { status: 'all', extension: '', query: '' };
+
+// A file with an error stays 'complete' in its record, but reads as failed everywhere in the UI
+export const fileStatus = (file) => (file.error ? 'error' : file.status);
+
+export const extensionOf = (name) => {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot).toLowerCase() : '';
+};
+
+// Extensions present in the list, for the filter dropdown
+export const listExtensions = (files) => [...new Set(files.map(f => extensionOf(f.originalName)).filter(Boolean))].sort();
+
+export const isFiltered = (filter) => filter.status !== 'all' || Boolean(filter.extension) || Boolean(filter.query.trim());
+
+export const createFileFilter = ({ status, extension, query }) => {
+  const needle = query.trim().toLowerCase();
+  return (file) => (status === 'all' || fileStatus(file) === status)
+    && (!extension || extensionOf(file.originalName) === extension)
+    && (!needle || file.originalPath.toLowerCase().includes(needle) || file.newPath.toLowerCase().includes(needle));
+};
@@ -0,0 +1,127 @@
+import { withRelativePath } from './projectFiles.js';
+
+// --- File System Access ---
+// Reads projects from, and writes converted files straight into, a directory the user picked
+// with showDirectoryPicker(). Output paths are the same upload-relative paths the ZIP uses, so
+// picking the project folder itself (its name matches the upload root) writes in place instead
+// of nesting a second copy.
+
+export const CONFLICT_POLICIES = [
+  { value: 'overwrite', label: 'Overwrite existing files' },
+  { value: 'skip', label: 'Skip existing files' },
+  { value: 'rename', label: 'Rename new files (name (1).js)' }
+];
+
+export const supportsDirectoryAccess = () => typeof window !== 'undefined' && 'showDirectoryPicker' in window;
+
+// Resolves to null when the user dismisses the picker
+export const pickDirectory = async () => {
+  try {
+    return await window.showDirectoryPicker({ mode: 'readwrite' });
+  } catch (error) {
+    if (error.name === 'AbortError') return null;
+    throw error;
+  }
+};
+
+// Walks a directory into folder-upload style Files whose paths start with the directory's name.
+// `skip(relativeDir)` prunes whole folders such as node_modules.
+export const readDirectory = async (handle, skip = () => false) => {
+  const files = [];
+
+  const walk = async (dir, prefix) => {
+    for await (const entry of dir.values()) {
+      const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.kind === 'directory') {
+        if (!skip(rel)) await walk(entry, rel);
+      } else {
+        files.push(withRelativePath(await entry.getFile(), `${handle.name}/${rel}`));
+      }
+    }
+  };
+
+  await walk(handle, '');
+  return files;
+};
+
+// Path inside the picked directory for an upload path
+export const targetPath = (handle, path, root) => (
+  root && handle.name === root && path.startsWith(`${root}/`) ? path.slice(root.length + 1) : path
+);
+
+const getDirectory = async (handle, segments, create) => {
+  let dir = handle;
+  for (const segment of segments) {
+    dir = await dir.getDirectoryHandle(segment, { create });
+  }
+  return dir;
+};
+
+const fileExists = async (dir, name) => {
+  try {
+    await dir.getFileHandle(name);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const freeName = async (dir, name) => {
+  const dot = name.indexOf('.', 1);
+  const stem = dot === -1 ? name : name.slice(0, dot);
+  const ext = dot === -1 ? '' : name.slice(dot);
+  for (let n = 1; ; n++) {
+    const candidate = `${stem} (${n})${ext}`;
+    if (!(await fileExists(dir, candidate))) return candidate;
+  }
+};
+
+// `entries` are { path, data } with upload-relative paths. Returns a per-entry outcome list
+// ('written' | 'renamed' | 'skipped' | 'failed') in the same order.
+export const writeEntries = async (handle, entries, { conflict, root }) => {
+  const results = [];
+
+  for (const entry of entries) {
+    const segments = targetPath(handle, entry.path, root).split('/');
+    const name = segments.pop();
+    try {
+      const dir = await getDirectory(handle, segments, true);
+      const exists = await fileExists(dir, name);
+      if (exists && conflict === 'skip') {
+        results.push({ ...entry, outcome: 'skipped' });
+        continue;
+      }
+
+      const finalName = exists && conflict === 'rename' ? await freeName(dir, name) : name;
+      const fileHandle = await dir.getFileHandle(finalName, { create: true });
+      const writable = await fileHandle.createWritable();
+      await writable.write(entry.data);
+      await writable.close();
+      results.push({ ...entry, outcome: finalName === name ? 'written' : 'renamed' });
+    } catch (error) {
+      results.push({ ...entry, outcome: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+};
+
+// Removes upload-relative paths from the picked directory; files that aren't there are ignored.
+// Returns how many were actually deleted.
+export const deleteEntries = async (handle, paths, root) => {
+  let deleted = 0;
+
+  for (const path of paths) {
+    const segments = targetPath(handle, path, root).split('/');
+    const name = segments.pop();
+    try {
+      const dir = await getDirectory(handle, segments, false);
+      await dir.removeEntry(name);
+      deleted++;
+    } catch {
+      // Not in this directory (or not permitted) - leave it alone
+    }
+  }
+
+  return deleted;
+};
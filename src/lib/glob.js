@@ -0,0 +1,54 @@
+// --- Glob Matching ---
+// Supports '**', '*', '?' and '{a,b}'. A pattern without a '/' matches any
+// single path segment, so 'node_modules' excludes it at every depth; a leading
+// '/' anchors a pattern at the root instead, so '/src' is only the top-level one.
+
+const escapeRegExp = (s) => s.replace(/[.+^$()|[\]\\]/g, '\\$&');
+
+const globToRegExp = (glob) => {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      // '**/' matches zero or more directories
+      if (glob[i + 2] === '/') { re += '(?:.*/)?'; i += 2; } else { re += '.*'; i += 1; }
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) { re += '\\{'; continue; }
+      re += `(?:${glob.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+      re += escapeRegExp(c);
+    }
+  }
+  return new RegExp(`^${re}$`);
+};
+
+// One pattern per line; commas also separate patterns unless they sit inside braces
+export const parseGlobList = (text) => (text || '')
+  .split(/\n|,(?![^{]*\})/)
+  .map(s => s.trim())
+  .filter(Boolean);
+
+export const compileGlob = (pattern) => {
+  const anchored = pattern.startsWith('/');
+  const glob = pattern.replace(/^\.?\//, '').replace(/\/$/, '');
+  if (!anchored && !glob.includes('/')) {
+    const segment = globToRegExp(glob);
+    return (path) => path.split('/').some(part => segment.test(part));
+  }
+  const full = globToRegExp(glob);
+  const dir = globToRegExp(`${glob}/**`);
+  return (path) => full.test(path) || dir.test(path);
+};
+
+// An empty include list means "everything"
+export const createPathFilter = (include, exclude) => {
+  const includes = parseGlobList(include).map(compileGlob);
+  const excludes = parseGlobList(exclude).map(compileGlob);
+  return (path) => (includes.length === 0 || includes.some(m => m(path))) && !excludes.some(m => m(path));
+};
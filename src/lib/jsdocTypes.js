@@ -0,0 +1,277 @@
+// --- Types as JSDoc ---
+// Babel plugin that keeps TypeScript's type information as JSDoc comments, so the emitted
+// JavaScript still type-checks under `// @ts-check` and editors keep their IntelliSense:
+//   * function/method parameter and return types become @param/@returns (@this for `this:`)
+//   * type parameters become @template, with their constraints and defaults
+//   * interfaces and type aliases become @typedef (@property for plain interfaces)
+//   * class and variable annotations become @type; extends/implements and modifiers are kept
+//   * type-only imports become @typedef {import('...').Name} so the names above still resolve
+// Types are copied from the source text, which TypeScript's JSDoc parser reads as-is. Like the
+// other plugins it runs on Program entry, before the typescript preset removes anything.
+
+// Type-only syntax that a reference may sit in
+const TYPE_PARENTS = ['TSTypeReference', 'TSTypeQuery', 'TSQualifiedName', 'TSExpressionWithTypeArguments'];
+
+// The leftmost identifier of a (possibly qualified) type name
+const rootName = (node) => {
+  while (node && (node.type === 'TSQualifiedName' || node.type === 'MemberExpression')) node = node.left || node.object;
+  return node && node.type === 'Identifier' ? node.name : null;
+};
+
+const CLASS_MEMBERS = ['ClassProperty', 'ClassPrivateProperty', 'ClassAccessorProperty'];
+
+// Defaults longer than this are left out of `[name=default]`
+const MAX_DEFAULT_LENGTH = 30;
+
+export const typesToJsdocPlugin = ({ types: t }, { onlyRemoveTypeImports = false, allowDeclareFields = false } = {}) => {
+  const tagKey = (tag) => {
+    const [, kind, name] = tag.match(/^@(\w+)(?:\s+\{.*\})?\s*\[?([\w$.]*)/) || [];
+    return ['returns', 'return', 'type', 'typedef', 'this', 'extends', 'implements'].includes(kind) ? kind : `${kind} ${name}`;
+  };
+
+  // Adds `tags` to the node's own JSDoc block, or gives it a new one. Tags the block already
+  // has (same kind and name) are left alone, so hand-written docs win.
+  const annotate = (node, tags, merge = true) => {
+    if (tags.length === 0) return;
+    const comments = node.leadingComments || [];
+    const existing = comments[comments.length - 1];
+
+    if (merge && existing && existing.type === 'CommentBlock' && existing.value.startsWith('*')) {
+      // An untyped `@param name` gets the type; one that already has a type is left alone
+      let value = existing.value;
+      tags.filter(tag => tag.startsWith('@param ')).forEach(tag => {
+        const [, type, name] = tag.match(/^@param (\{.*\}) \[?([\w$]+)/);
+        value = value.replace(new RegExp(`(@param\\s+)(?=\\[?${name.replace(/\$/g, '\\$')}\\b)`), (match, prefix) => `${prefix}${type} `);
+      });
+      existing.value = value;
+
+      const known = new Set((value.match(/@\w+(?:\s+\{[^}]*\})?\s*\[?[\w$.]*/g) || []).map(tagKey));
+      const added = tags.filter(tag => !known.has(tagKey(tag)));
+      if (added.length === 0) return;
+      const lines = value.replace(/\s*$/, '').split('\n');
+      if (lines.length === 1) lines[0] = `*\n * ${lines[0].replace(/^\*\s*/, '')}`;
+      existing.value = `${lines.join('\n')}\n${added.map(tag => ` * ${tag}`).join('\n')}\n `;
+      return;
+    }
+
+    t.addComment(node, 'leading', tags.length === 1 ? `* ${tags[0]} ` : `*\n${tags.map(tag => ` * ${tag}`).join('\n')}\n `);
+  };
+
+  return {
+    visitor: {
+      Program(program, state) {
+        const code = state.file.code;
+        // Multi-line types collapse onto the tag line; a literal `*/` would end the comment early
+        const text = (node) => code.slice(node.start, node.end).replace(/\s+/g, ' ').replace(/\*\//g, '*\\/');
+        const typeOf = (annotated) => (annotated && annotated.typeAnnotation && annotated.typeAnnotation.typeAnnotation
+          ? text(annotated.typeAnnotation.typeAnnotation)
+          : null);
+
+        const templateTags = (typeParameters) => (typeParameters ? typeParameters.params.map(param => {
+          const constraint = param.constraint ? `{${text(param.constraint)}} ` : '';
+          const name = param.default ? `[${param.name}=${text(param.default)}]` : param.name;
+          return `@template ${constraint}${name}`;
+        }) : []);
+
+        const paramTag = (param, index) => {
+          if (param.type === 'TSParameterProperty') return paramTag(param.parameter, index);
+          if (param.type === 'Identifier' && param.name === 'this') return param.typeAnnotation ? `@this {${typeOf(param)}}` : null;
+
+          if (param.type === 'RestElement') {
+            const annotation = param.typeAnnotation && param.typeAnnotation.typeAnnotation;
+            if (!annotation) return null;
+            const name = param.argument.type === 'Identifier' ? param.argument.name : `param${index}`;
+            return annotation.type === 'TSArrayType'
+              ? `@param {...${text(annotation.elementType)}} ${name}`
+              : `@param {${text(annotation)}} ${name}`;
+          }
+
+          const target = param.type === 'AssignmentPattern' ? param.left : param;
+          const type = typeOf(target);
+          if (!type) return null;
+          // Destructured parameters are matched to their tag by position
+          const name = target.type === 'Identifier' ? target.name : `param${index}`;
+          if (param.type === 'AssignmentPattern') {
+            const value = text(param.right);
+            return `@param {${type}} [${value.length <= MAX_DEFAULT_LENGTH ? `${name}=${value}` : name}]`;
+          }
+          return `@param {${type}} ${target.optional ? `[${name}]` : name}`;
+        };
+
+        // `this:` is a TypeScript-only parameter, so it doesn't count toward positions
+        const functionTags = (fn) => [
+          ...templateTags(fn.typeParameters),
+          ...fn.params.filter(p => !(p.type === 'Identifier' && p.name === 'this')).map(paramTag),
+          ...(fn.params[0] && fn.params[0].type === 'Identifier' && fn.params[0].name === 'this' ? [paramTag(fn.params[0])] : []),
+          ...(fn.returnType && fn.kind !== 'constructor' ? [`@returns {${text(fn.returnType.typeAnnotation)}}`] : [])
+        ].filter(Boolean);
+
+        const modifierTags = (member) => [
+          member.accessibility === 'private' || member.accessibility === 'protected' ? `@${member.accessibility}` : null,
+          member.readonly ? '@readonly' : null
+        ].filter(Boolean);
+
+        // The statement a declaration's comment belongs on: exports carry it for what they export
+        const statementOf = (path) => (path.parentPath.isExportNamedDeclaration() || path.parentPath.isExportDefaultDeclaration()
+          ? path.parentPath
+          : path);
+
+        // Where an anonymous function's or class's tags go: the variable or member it's
+        // assigned to, or the expression itself when it's passed inline
+        const ownerOf = (path) => {
+          const parent = path.parentPath;
+          if (parent.isVariableDeclarator() && parent.node.init === path.node) {
+            const declaration = parent.parentPath;
+            if (declaration.node.declarations.length !== 1 || parent.node.id.typeAnnotation) return null;
+            return statementOf(declaration);
+          }
+          if (CLASS_MEMBERS.includes(parent.node.type) || parent.isObjectProperty()) {
+            return parent.node.value === path.node && !parent.node.typeAnnotation ? parent : null;
+          }
+          return path;
+        };
+
+        const typedef = (name, typeParameters, type, properties = []) => [
+          ...templateTags(typeParameters),
+          `@typedef {${type}} ${name}`,
+          ...properties
+        ];
+
+        // Plain interfaces list their members as @property; anything a property can't express
+        // (heritage, call/index signatures) falls back to a single type-literal typedef
+        const interfaceTags = (node) => {
+          const members = node.body.body;
+          const simple = !node.extends?.length && members.every(m => (
+            (m.type === 'TSPropertySignature' || m.type === 'TSMethodSignature') && !m.computed && t.isIdentifier(m.key)
+          ));
+          if (!simple) {
+            const heritage = (node.extends || []).map(text);
+            return typedef(node.id.name, node.typeParameters, [...heritage, text(node.body)].join(' & '));
+          }
+
+          const properties = members.map(member => {
+            const name = member.optional ? `[${member.key.name}]` : member.key.name;
+            if (member.type === 'TSPropertySignature') return `@property {${typeOf(member) || 'any'}} ${name}`;
+            const typeParams = member.typeParameters ? text(member.typeParameters) : '';
+            const params = member.parameters.map(text).join(', ');
+            const returns = member.typeAnnotation ? text(member.typeAnnotation.typeAnnotation) : 'any';
+            return `@property {${typeParams}(${params}) => ${returns}} ${name}`;
+          });
+          return typedef(node.id.name, node.typeParameters, 'Object', properties);
+        };
+
+        // Imports that only feed types are removed by the preset, so their names are re-declared
+        // as typedefs pointing back at the module. With onlyRemoveTypeImports the preset keeps
+        // plain imports, so only `import type` needs it.
+        // References from types aren't always bindings, so names used in types are gathered first
+        const inType = (ref) => TYPE_PARENTS.includes(ref.parent.type);
+        const typeNames = new Set();
+        program.traverse({
+          TSTypeReference(path) { typeNames.add(rootName(path.node.typeName)); },
+          TSTypeQuery(path) { typeNames.add(rootName(path.node.exprName)); },
+          TSExpressionWithTypeArguments(path) { typeNames.add(rootName(path.node.expression)); }
+        });
+
+        program.traverse({
+          // Removed declarations hand their comments on to a neighbouring statement, so the tags
+          // can sit right where the types were
+          ImportDeclaration(path) {
+            const source = path.node.source.value;
+            const tags = path.node.specifiers.filter(specifier => {
+              if (specifier.type === 'ImportNamespaceSpecifier') return false;
+              const binding = path.scope.getBinding(specifier.local.name);
+              return path.node.importKind === 'type' || specifier.importKind === 'type'
+                || (!onlyRemoveTypeImports && typeNames.has(specifier.local.name) && (!binding || binding.referencePaths.every(inType)));
+            }).map(specifier => {
+              const imported = specifier.type === 'ImportDefaultSpecifier'
+                ? 'default'
+                : specifier.imported.name || specifier.imported.value;
+              return `@typedef {import('${source}').${imported}} ${specifier.local.name}`;
+            });
+            annotate(path.node, tags, false);
+          },
+
+          'TSInterfaceDeclaration|TSTypeAliasDeclaration'(path) {
+            annotate(statementOf(path).node, path.isTSInterfaceDeclaration()
+              ? interfaceTags(path.node)
+              : typedef(path.node.id.name, path.node.typeParameters, text(path.node.typeAnnotation)));
+          },
+
+          'FunctionDeclaration|TSDeclareFunction'(path) {
+            if (path.isTSDeclareFunction()) return;
+            annotate(statementOf(path).node, functionTags(path.node));
+          },
+
+          'ArrowFunctionExpression|FunctionExpression'(path) {
+            const owner = ownerOf(path);
+            if (owner) annotate(owner.node, functionTags(path.node));
+          },
+
+          'ClassMethod|ClassPrivateMethod|ObjectMethod'(path) {
+            annotate(path.node, [...modifierTags(path.node), ...functionTags(path.node)]);
+          },
+
+          'ClassDeclaration|ClassExpression'(path) {
+            const { node } = path;
+            const tags = [
+              ...templateTags(node.typeParameters),
+              ...(node.superClass && node.superTypeParameters ? [`@extends {${text(node.superClass)}${text(node.superTypeParameters)}}`] : []),
+              ...(node.implements || []).map(i => `@implements {${text(i)}}`)
+            ];
+            const owner = path.isClassDeclaration() ? statementOf(path) : ownerOf(path);
+            if (owner) annotate(owner.node, tags);
+          },
+
+          [CLASS_MEMBERS.join('|')](path) {
+            const { node } = path;
+            const type = typeOf(node);
+            const tags = [...modifierTags(node), ...(type ? [`@type {${type}}`] : [])];
+            if (node.declare) return;
+            // The preset drops fields with no initializer (unless declare fields are allowed), so
+            // their tags move to the constructor's `this.name = ...`, where tsc looks for them too.
+            // Without one, they document a virtual @member after the class: a comment, not code.
+            // (A field the env preset lowers keeps its tags on the _defineProperty call.)
+            if (!node.value && !allowDeclareFields) {
+              const constructor = !node.static && t.isIdentifier(node.key) && path.parent.body.find(m => m.kind === 'constructor');
+              const assignment = constructor && constructor.body.body.find(statement => (
+                t.isExpressionStatement(statement)
+                && t.isAssignmentExpression(statement.expression)
+                && t.isMemberExpression(statement.expression.left)
+                && t.isThisExpression(statement.expression.left.object)
+                && t.isIdentifier(statement.expression.left.property, { name: node.key.name })
+              ));
+              const name = !node.computed && (node.key.name || node.key.value);
+              if (assignment) {
+                annotate(assignment, tags);
+              } else if (type && name) {
+                const classPath = path.parentPath.parentPath;
+                const owner = classPath.isClassDeclaration() ? statementOf(classPath) : ownerOf(classPath) || classPath;
+                const member = [`@member {${type}} ${node.optional ? `[${name}]` : name}`, ...(node.static ? ['@static'] : []), ...modifierTags(node)];
+                t.addComment(owner.node, 'trailing', `*\n${member.map(tag => ` * ${tag}`).join('\n')}\n `);
+              }
+              return;
+            }
+            annotate(node, tags);
+          },
+
+          // With several declarators each one carries its own tag: `let /** @type {A} */ a, ...`
+          VariableDeclarator(path) {
+            const type = typeOf(path.node.id);
+            const declaration = path.parentPath;
+            if (!type) return;
+            annotate(declaration.node.declarations.length === 1 ? statementOf(declaration).node : path.node, [`@type {${type}}`]);
+          }
+        });
+
+        // A file of nothing but types would lose every comment with its last statement, so it
+        // keeps an empty export to hold them (which is also what tsc emits for such a module)
+        const survives = (node) => !(node.type === 'TSInterfaceDeclaration' || node.type === 'TSTypeAliasDeclaration'
+          || (node.type === 'ImportDeclaration' && node.importKind === 'type')
+          || (node.type === 'ExportNamedDeclaration' && node.declaration && !survives(node.declaration)));
+        if (program.node.body.length > 0 && !program.node.body.some(survives)) {
+          program.pushContainer('body', t.exportNamedDeclaration(null, []));
+        }
+      }
+    }
+  };
+};
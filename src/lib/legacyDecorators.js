@@ -0,0 +1,182 @@
+// --- TypeScript-style Legacy Decorators ---
+// Fills the gaps between Babel's legacy decorators and tsc's experimentalDecorators:
+//   * parameter decorators are rewritten into method/class decorators (tsc's __param)
+//   * with `metadata`, design:type / design:paramtypes / design:returntype are emitted
+//     the way emitDecoratorMetadata does (tsc's __metadata), guarded for missing reflect-metadata
+//   * a decorated field's `!` marker is dropped: the decorator gives the field an initializer,
+//     which the typescript preset would otherwise reject on a definitely assigned field
+// Everything happens on Program entry so type references it creates keep their imports
+// alive before the typescript preset elides imports it thinks are type-only.
+
+const NULLISH_TYPES = ['TSNullKeyword', 'TSUndefinedKeyword'];
+
+const typeOfParam = (param) => {
+  if (param.type === 'TSParameterProperty') return typeOfParam(param.parameter);
+  if (param.type === 'AssignmentPattern') return typeOfParam(param.left);
+  return param.typeAnnotation ? param.typeAnnotation.typeAnnotation : null;
+};
+
+export const typescriptDecoratorsPlugin = ({ types: t, template }, { metadata = false } = {}) => {
+  const guardedReference = (typeName) => {
+    const toExpression = (name) => (name.type === 'TSQualifiedName'
+      ? t.memberExpression(toExpression(name.left), t.identifier(name.right.name))
+      : t.identifier(name.name));
+    let head = typeName;
+    while (head.type === 'TSQualifiedName') head = head.left;
+
+    // typeof keeps an undeclared or type-only reference from throwing at runtime
+    return t.conditionalExpression(
+      t.binaryExpression('===', t.unaryExpression('typeof', t.identifier(head.name)), t.stringLiteral('undefined')),
+      t.identifier('Object'),
+      toExpression(typeName)
+    );
+  };
+
+  const serialize = (node) => {
+    if (!node) return t.identifier('Object');
+    switch (node.type) {
+      case 'TSStringKeyword':
+      case 'TSTemplateLiteralType':
+        return t.identifier('String');
+      case 'TSNumberKeyword':
+        return t.identifier('Number');
+      case 'TSBooleanKeyword':
+        return t.identifier('Boolean');
+      case 'TSBigIntKeyword':
+        return t.identifier('BigInt');
+      case 'TSSymbolKeyword':
+        return t.identifier('Symbol');
+      case 'TSVoidKeyword':
+      case 'TSUndefinedKeyword':
+      case 'TSNullKeyword':
+      case 'TSNeverKeyword':
+        return t.unaryExpression('void', t.numericLiteral(0));
+      case 'TSFunctionType':
+      case 'TSConstructorType':
+        return t.identifier('Function');
+      case 'TSArrayType':
+      case 'TSTupleType':
+        return t.identifier('Array');
+      case 'TSLiteralType': {
+        const literal = node.literal;
+        if (literal.type === 'StringLiteral' || literal.type === 'TemplateLiteral') return t.identifier('String');
+        if (literal.type === 'BooleanLiteral') return t.identifier('Boolean');
+        return t.identifier('Number');
+      }
+      case 'TSParenthesizedType':
+      case 'TSTypeOperator':
+        return serialize(node.typeAnnotation);
+      case 'TSUnionType':
+      case 'TSIntersectionType': {
+        // Like tsc: ignore null/undefined, and only keep a single type when every member agrees
+        const members = node.types.filter(m => !NULLISH_TYPES.includes(m.type)).map(serialize);
+        const first = members[0];
+        const same = first && members.every(m => m.type === 'Identifier' && first.type === 'Identifier' && m.name === first.name);
+        return same ? first : t.identifier('Object');
+      }
+      case 'TSTypeReference':
+        return guardedReference(node.typeName);
+      default:
+        return t.identifier('Object');
+    }
+  };
+
+  const paramDecorator = (decorator, index, isConstructor) => {
+    const target = t.identifier('target');
+    const key = t.identifier('key');
+    const call = t.callExpression(decorator.expression, [
+      target,
+      isConstructor ? t.identifier('undefined') : key,
+      t.numericLiteral(index)
+    ]);
+    return t.decorator(t.arrowFunctionExpression(
+      isConstructor ? [target] : [target, key],
+      t.blockStatement([t.expressionStatement(call)])
+    ));
+  };
+
+  // Moves parameter decorators onto `owner` and reports whether there were any
+  const liftParamDecorators = (params, owner, isConstructor) => {
+    let lifted = false;
+    params.forEach((param, index) => {
+      if (!param.decorators || param.decorators.length === 0) return;
+      owner.decorators = owner.decorators || [];
+      param.decorators.forEach(d => owner.decorators.push(paramDecorator(d, index, isConstructor)));
+      param.decorators = null;
+      lifted = true;
+    });
+    return lifted;
+  };
+
+  return {
+    name: 'typescript-decorators',
+    visitor: {
+      Program(program) {
+        let helper = null;
+        let changed = false;
+
+        const metadataDecorator = (key, value) => {
+          if (!helper) {
+            helper = program.scope.generateUidIdentifier('metadata');
+            program.unshiftContainer('body', template.statement(`
+              function HELPER(k, v) {
+                if (typeof Reflect === "object" && typeof Reflect.metadata === "function") return Reflect.metadata(k, v);
+              }
+            `)({ HELPER: helper }));
+          }
+          return t.decorator(t.callExpression(t.cloneNode(helper), [t.stringLiteral(key), value]));
+        };
+
+        const paramTypes = (params) => t.arrayExpression(params.map(p => serialize(typeOfParam(p))));
+
+        program.traverse({
+          'ClassDeclaration|ClassExpression'(classPath) {
+            const cls = classPath.node;
+            const ctor = cls.body.body.find(m => m.type === 'ClassMethod' && m.kind === 'constructor');
+
+            cls.body.body.forEach(member => {
+              if (member.type === 'ClassMethod' && member.kind !== 'constructor') {
+                changed = liftParamDecorators(member.params, member, false) || changed;
+                if (!metadata || !member.decorators || member.decorators.length === 0) return;
+
+                if (member.kind === 'get') {
+                  member.decorators.push(metadataDecorator('design:type', serialize(member.returnType?.typeAnnotation)));
+                } else if (member.kind === 'set') {
+                  member.decorators.push(metadataDecorator('design:type', serialize(typeOfParam(member.params[0]))));
+                  member.decorators.push(metadataDecorator('design:paramtypes', paramTypes(member.params)));
+                } else {
+                  member.decorators.push(metadataDecorator('design:type', t.identifier('Function')));
+                  member.decorators.push(metadataDecorator('design:paramtypes', paramTypes(member.params)));
+                  member.decorators.push(metadataDecorator('design:returntype', member.returnType
+                    ? serialize(member.returnType.typeAnnotation)
+                    : t.unaryExpression('void', t.numericLiteral(0))));
+                }
+                changed = true;
+              } else if (member.type === 'ClassProperty' && member.decorators && member.decorators.length > 0) {
+                member.definite = false;
+                if (!metadata) return;
+                member.decorators.push(metadataDecorator('design:type', serialize(member.typeAnnotation?.typeAnnotation)));
+                changed = true;
+              }
+            });
+
+            if (ctor) changed = liftParamDecorators(ctor.params, cls, true) || changed;
+
+            if (metadata && ctor && cls.decorators && cls.decorators.length > 0) {
+              cls.decorators.push(metadataDecorator('design:paramtypes', paramTypes(ctor.params)));
+              changed = true;
+            }
+          }
+        });
+
+        // New identifier references must be registered before the typescript preset checks import usage
+        if (changed) program.scope.crawl();
+      }
+    }
+  };
+};
+
+// Cheap source check used to warn before converting with decorators disabled
+const DECORATOR_PATTERN = /(^[ \t]*|[(,]\s*)@[A-Za-z_$][\w$.]*\s*[(\n]/m;
+
+export const usesDecorators = (source) => DECORATOR_PATTERN.test(source || '');
@@ -0,0 +1,319 @@
+import { dirname, relative } from './paths.js';
+import { isComponent } from './components.js';
+
+// --- Transpile Options ---
+// User-facing settings are kept flat so they serialize cleanly to localStorage
+// and can be cloned into worker messages. buildBabelOptions() turns them into
+// the `options` object the worker hands to Babel.transform.
+
+const STORAGE_KEY = 'transpile-box:options';
+
+export const TARGETS = [
+  { value: 'esmodules', label: 'ES module browsers' },
+  { value: 'es2015', label: 'ES2015' },
+  { value: 'es2016', label: 'ES2016' },
+  { value: 'es2017', label: 'ES2017' },
+  { value: 'es2018', label: 'ES2018' },
+  { value: 'es2019', label: 'ES2019' },
+  { value: 'es2020', label: 'ES2020' },
+  { value: 'es2021', label: 'ES2021' },
+  { value: 'es2022', label: 'ES2022' },
+  { value: 'esnext', label: 'ESNext (no syntax lowering)' },
+  { value: 'browserslist', label: 'Browserslist query' }
+];
+
+export const MODULE_FORMATS = [
+  { value: 'esm', label: 'ES Modules' },
+  { value: 'commonjs', label: 'CommonJS' },
+  { value: 'amd', label: 'AMD' },
+  { value: 'umd', label: 'UMD' },
+  { value: 'systemjs', label: 'SystemJS' }
+];
+
+// First engine versions with full support for each edition.
+const TARGET_QUERIES = {
+  es2015: 'chrome 51, firefox 54, safari 10, edge 15, node 6.5',
+  es2016: 'chrome 52, firefox 55, safari 10.1, edge 15, node 7',
+  es2017: 'chrome 58, firefox 53, safari 11, edge 16, node 7.6',
+  es2018: 'chrome 64, firefox 78, safari 12, edge 79, node 10',
+  es2019: 'chrome 73, firefox 78, safari 12.1, edge 79, node 12',
+  es2020: 'chrome 80, firefox 80, safari 14.1, edge 80, node 14',
+  es2021: 'chrome 85, firefox 79, safari 14.1, edge 85, node 15',
+  es2022: 'chrome 94, firefox 93, safari 16.4, edge 94, node 16.11'
+};
+
+const MODULE_PLUGINS = {
+  commonjs: 'transform-modules-commonjs',
+  amd: 'transform-modules-amd',
+  umd: 'transform-modules-umd',
+  systemjs: 'transform-modules-systemjs'
+};
+
+export const DEFAULT_OPTIONS = {
+  target: 'esmodules',
+  browserslist: 'defaults',
+  moduleFormat: 'esm',
+  jsxRuntime: 'classic',
+  jsxPragma: '',
+  jsxPragmaFrag: '',
+  jsxImportSource: '',
+  onlyRemoveTypeImports: false,
+  allowDeclareFields: false,
+  typesAsJsdoc: false,
+  isTSX: 'auto', // 'auto' | 'always' | 'never'
+  rewriteImports: true,
+  addJsExtensions: false,
+  sourceMaps: 'none', // 'none' | 'external' | 'inline'
+  outputFormat: 'babel', // 'babel' | 'minify' | 'pretty'
+  minifyMangle: true,
+  minifyDeadCode: true,
+  minifyKeepLicense: true,
+  formatIndent: '2', // '2' | '4' | 'tab'
+  formatQuotes: 'single', // 'single' | 'double'
+  formatSemicolons: true,
+  formatWidth: 80,
+  decorators: 'none', // 'none' | 'legacy' | '2023-05'
+  emitDecoratorMetadata: false,
+  classFields: 'define', // 'define' | 'set'
+  useTsconfig: true,
+  cacheResults: true,
+  taskTimeout: 30, // seconds per file, 0 = no limit
+  taskRetries: 1,
+  projectPrepass: true,
+  typeCheck: false,
+  typeErrors: 'warn', // 'warn' | 'mark' | 'block'
+  declarations: false,
+  declarationDir: 'types', // blank = beside the sources
+  writeConflicts: 'overwrite', // 'overwrite' | 'skip' | 'rename'
+  deleteOriginals: false,
+  copyAssets: false,
+  includeGlobs: '',
+  excludeGlobs: 'node_modules\ndist\n.git'
+};
+
+export const loadOptions = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_OPTIONS, ...saved };
+  } catch {
+    return { ...DEFAULT_OPTIONS };
+  }
+};
+
+export const saveOptions = (options) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+  } catch {
+    // Storage full or disabled - settings just won't survive a reload
+  }
+};
+
+const resolveTargets = (options) => {
+  if (options.target === 'esmodules') return { esmodules: true };
+  if (options.target === 'browserslist') return options.browserslist.trim() || 'defaults';
+  return TARGET_QUERIES[options.target];
+};
+
+export const DECORATOR_MODES = [
+  { value: 'none', label: 'Disabled' },
+  { value: 'legacy', label: 'Legacy (experimentalDecorators)' },
+  { value: '2023-05', label: 'Stage 3 (2023-05)' }
+];
+
+export const SOURCE_MAP_MODES = [
+  { value: 'none', label: 'None' },
+  { value: 'external', label: 'External (.js.map)' },
+  { value: 'inline', label: 'Inline (data URL)' }
+];
+
+export const OUTPUT_FORMATS = [
+  { value: 'babel', label: 'As generated by Babel' },
+  { value: 'minify', label: 'Minified' },
+  { value: 'pretty', label: 'Formatted (Prettier)' }
+];
+
+export const INDENT_STYLES = [
+  { value: '2', label: '2 spaces' },
+  { value: '4', label: '4 spaces' },
+  { value: 'tab', label: 'Tabs' }
+];
+
+export const TYPE_ERROR_MODES = [
+  { value: 'warn', label: 'Only show diagnostics' },
+  { value: 'mark', label: 'Annotate affected files in the download' },
+  { value: 'block', label: 'Block download while errors remain' }
+];
+
+// Settings with a fixed set of values; the rest only need the type of their default
+const CHOICES = {
+  target: TARGETS.map(t => t.value),
+  moduleFormat: MODULE_FORMATS.map(f => f.value),
+  jsxRuntime: ['classic', 'automatic'],
+  isTSX: ['auto', 'always', 'never'],
+  sourceMaps: SOURCE_MAP_MODES.map(m => m.value),
+  outputFormat: OUTPUT_FORMATS.map(f => f.value),
+  formatIndent: INDENT_STYLES.map(s => s.value),
+  formatQuotes: ['single', 'double'],
+  decorators: DECORATOR_MODES.map(m => m.value),
+  classFields: ['define', 'set'],
+  typeErrors: TYPE_ERROR_MODES.map(m => m.value),
+  writeConflicts: ['overwrite', 'skip', 'rename']
+};
+
+// The limits the Options panel clamps its number fields to
+const RANGES = {
+  formatWidth: [40, 200],
+  taskTimeout: [0, Infinity],
+  taskRetries: [0, 5]
+};
+
+// Problems with settings that didn't come from the Options panel (a CLI config), as messages
+export const validateOptions = (options) => [...Object.entries(options).flatMap(([key, value]) => {
+  if (!Object.hasOwn(DEFAULT_OPTIONS, key)) return [`Unknown option "${key}"`];
+  const type = typeof DEFAULT_OPTIONS[key];
+  if (typeof value !== type) return [`"${key}" must be a ${type}, got ${JSON.stringify(value)}`];
+  if (CHOICES[key] && !CHOICES[key].includes(value)) return [`"${key}" must be one of ${CHOICES[key].join(', ')}; got "${value}"`];
+  if (RANGES[key]) {
+    const [min, max] = RANGES[key];
+    if (value < min || value > max) {
+      return [`"${key}" must be ${max === Infinity ? `at least ${min}` : `between ${min} and ${max}`}; got ${value}`];
+    }
+  }
+  return [];
+}), ...(options.outputFormat === 'pretty' && (options.sourceMaps ?? DEFAULT_OPTIONS.sourceMaps) !== 'none'
+  // The Options panel turns source maps off for Formatted output too: Prettier leaves no map
+  ? ['"sourceMaps" must be "none" with "outputFormat": "pretty"; formatted output has no source maps']
+  : [])];
+
+// tsconfig.json values win over the user's own settings while "Use tsconfig.json" is on
+export const effectiveOptions = (options, project) => (
+  project && options.useTsconfig ? { ...options, ...project.options } : options
+);
+
+export const buildBabelOptions = (options, file) => {
+  // Component script blocks stay ES modules for the framework's compiler, and their imports may
+  // only be used by the markup, so just the ones marked `type` can go
+  const component = isComponent(file.originalName);
+  const modules = component || options.moduleFormat === 'esm' ? false : options.moduleFormat;
+  const onlyRemoveTypeImports = component || options.onlyRemoveTypeImports;
+  const presets = [];
+  const plugins = [];
+
+  if (component) {
+    // The framework's compiler does its own downlevelling, and lowered code can break it: Svelte
+    // rejects a destructured $props(), Vue treats `var` bindings as reactive `let`s
+  } else if (options.target === 'esnext') {
+    // No env preset means no syntax lowering, so the module transform has to be added by hand
+    if (modules) plugins.push(MODULE_PLUGINS[modules]);
+  } else {
+    presets.push(['env', { targets: resolveTargets(options), modules }]);
+  }
+
+  const react = { runtime: options.jsxRuntime };
+  if (options.jsxRuntime === 'classic') {
+    if (options.jsxPragma) react.pragma = options.jsxPragma;
+    if (options.jsxPragmaFrag) react.pragmaFrag = options.jsxPragmaFrag;
+  } else if (options.jsxImportSource) {
+    react.importSource = options.jsxImportSource;
+  }
+  presets.push(['react', react]);
+
+  // 'typescript-decorators' is registered by the worker (see lib/legacyDecorators.js)
+  if (options.decorators === 'legacy') {
+    plugins.unshift(
+      ['typescript-decorators', { metadata: options.emitDecoratorMetadata }],
+      ['proposal-decorators', { legacy: true }]
+    );
+  } else if (options.decorators === '2023-05') {
+    plugins.unshift(['proposal-decorators', { version: '2023-05' }]);
+  }
+
+  // 'typescript-jsdoc' is registered by the worker too (see lib/jsdocTypes.js)
+  if (options.typesAsJsdoc) {
+    plugins.push(['typescript-jsdoc', {
+      onlyRemoveTypeImports,
+      allowDeclareFields: options.allowDeclareFields
+    }]);
+  }
+
+  // [[Set]] semantics (useDefineForClassFields: false) need the class-properties transform even on
+  // modern targets, and legacy decorators can't decorate fields until that transform has run.
+  // 'typescript-class-fields' is registered by the worker (see lib/classFields.js); listed just
+  // before 'typescript', it runs right after the types are gone.
+  const assumptions = {};
+  if (options.classFields === 'set' || options.decorators === 'legacy') {
+    presets.push(['typescript-class-fields', { set: options.classFields === 'set' }]);
+  }
+  if (options.classFields === 'set') {
+    assumptions.setPublicClassFields = true;
+  }
+
+  const typescript = {
+    onlyRemoveTypeImports,
+    allowDeclareFields: options.allowDeclareFields
+  };
+  if (component) {
+    // Script blocks are plain TypeScript whatever the file is called
+    typescript.allExtensions = true;
+    typescript.isTSX = false;
+  } else if (options.isTSX !== 'auto') {
+    typescript.allExtensions = true;
+    typescript.isTSX = options.isTSX === 'always';
+  }
+  presets.push(['typescript', typescript]);
+
+  // Formatted output keeps Babel's code on its original lines so Prettier sees the blank lines
+  // between statements; Prettier rewrites every position, so no map survives it.
+  // Inline maps are embedded on the main thread so the map object stays available to the preview.
+  const pretty = options.outputFormat === 'pretty';
+  return {
+    filename: file.originalName,
+    presets,
+    plugins,
+    assumptions,
+    // Astro frontmatter may end the component early with a top-level `return`
+    parserOpts: { allowReturnOutsideFunction: file.originalName.endsWith('.astro') },
+    retainLines: pretty,
+    sourceMaps: options.sourceMaps !== 'none' && !pretty,
+    sourceFileName: relative(dirname(file.newPath), file.originalPath)
+  };
+};
+
+// The stage the worker runs after Babel.transform: Terser options for 'minify', Prettier options
+// for 'pretty', or null to keep Babel's own output
+export const buildOutputOptions = (options, file) => {
+  if (options.outputFormat === 'minify') {
+    const component = isComponent(file.originalName);
+    const compress = { dead_code: true, unused: true };
+    // Like Babel, Terser leaves a component's syntax to the framework's compiler: modern output,
+    // and each declaration (a Svelte rune, a Vue binding) kept as its own statement
+    if (component) compress.join_vars = false;
+    return {
+      mode: 'minify',
+      terser: {
+        // Top-level names of an ES module are private to it, so they can be mangled and dropped too.
+        // A component's markup uses the top-level names of its script, so those stay.
+        module: options.moduleFormat === 'esm' && !component,
+        ...(component && { ecma: 2020 }),
+        mangle: options.minifyMangle,
+        compress: options.minifyDeadCode ? compress : false,
+        format: { comments: options.minifyKeepLicense ? 'some' : false },
+        // Astro frontmatter may `return` at the top level
+        parse: { bare_returns: file.originalName.endsWith('.astro') }
+      }
+    };
+  }
+  if (options.outputFormat === 'pretty') {
+    return {
+      mode: 'pretty',
+      prettier: {
+        tabWidth: options.formatIndent === '4' ? 4 : 2,
+        useTabs: options.formatIndent === 'tab',
+        singleQuote: options.formatQuotes === 'single',
+        semi: options.formatSemicolons,
+        printWidth: options.formatWidth
+      }
+    };
+  }
+  return null;
+};
@@ -0,0 +1,37 @@
+// --- Output Formatting ---
+// Terser and Prettier are split into their own chunks and only fetched the first time a
+// worker formats output with them.
+
+let terserPromise = null;
+let prettierPromise = null;
+
+const loadTerser = () => {
+  if (!terserPromise) terserPromise = import('terser');
+  return terserPromise;
+};
+
+const loadPrettier = () => {
+  if (!prettierPromise) {
+    prettierPromise = Promise.all([
+      import('prettier/standalone'),
+      import('prettier/plugins/babel'),
+      import('prettier/plugins/estree')
+    ]).then(([prettier, babel, estree]) => ({ format: prettier.format, plugins: [babel, estree] }));
+  }
+  return prettierPromise;
+};
+
+// Runs the stage built by buildOutputOptions() on Babel's result. Minifying carries the source
+// map through; formatting drops it.
+export const formatOutput = async (code, map, output) => {
+  if (output?.mode === 'minify') {
+    const { minify } = await loadTerser();
+    const result = await minify(code, { ...output.terser, sourceMap: map ? { content: map } : false });
+    return { code: result.code, map: result.map ? JSON.parse(result.map) : null };
+  }
+  if (output?.mode === 'pretty') {
+    const { format, plugins } = await loadPrettier();
+    return { code: await format(code, { ...output.prettier, parser: 'babel', plugins }), map: null };
+  }
+  return { code, map };
+};
@@ -0,0 +1,26 @@
+// --- POSIX Path Helpers ---
+// Uploaded paths always use '/' (webkitRelativePath), so these stay deliberately small.
+
+export const dirname = (p) => p.slice(0, p.lastIndexOf('/') + 1);
+
+export const basename = (p) => p.slice(p.lastIndexOf('/') + 1);
+
+export const normalize = (p) => {
+  const out = [];
+  p.split('/').forEach(seg => {
+    if (seg === '..' && out.length && out[out.length - 1] !== '..') out.pop();
+    else if (seg !== '.' && seg !== '') out.push(seg);
+  });
+  return out.join('/');
+};
+
+// Relative specifier from a directory to a file, always starting with './' or '../'
+export const relative = (fromDir, to) => {
+  const from = fromDir.split('/').filter(Boolean);
+  const target = to.split('/');
+  let i = 0;
+  while (i < from.length && i < target.length - 1 && from[i] === target[i]) i++;
+  const up = from.slice(i).map(() => '..');
+  const rel = up.concat(target.slice(i)).join('/');
+  return rel.startsWith('..') ? rel : './' + rel;
+};
@@ -0,0 +1,120 @@
+import JSZip from 'jszip';
+import { buildBabelOptions, buildOutputOptions } from './options.js';
+import { attachSourceMap } from './sourceMap.js';
+import { isDeclaration, projectRoot, placeDeclaration, declarationName } from './projectFiles.js';
+import { isComponent } from './components.js';
+import { typeErrorsOf, markTypeErrors } from './errors.js';
+
+// --- Conversion Pipeline ---
+// The steps between a list of file records and the files that get written, shared by the web
+// app and the Node API. `settings` is always effectiveOptions(options, project).
+
+// What workers need to resolve relative imports and tsconfig aliases, or null when imports
+// aren't rewritten
+export const fileIndexOf = (allFiles, settings, project) => (settings.rewriteImports
+  ? {
+    files: Object.fromEntries(allFiles.map(f => [f.originalPath, f.newPath])),
+    aliases: settings.useTsconfig ? project?.aliases || null : null
+  }
+  : null);
+
+// The worker message for one script record; the file text is read by whoever runs it.
+// `prepass` is analyzeProject()'s result for the batch, when the pre-pass ran.
+export const createTask = (file, settings, prepass = null) => ({
+  id: file.id,
+  content: file.inputContent,
+  source: file.source,
+  filename: file.originalName,
+  path: file.originalPath,
+  options: buildBabelOptions(settings, file),
+  rewrite: settings.rewriteImports ? { addExtensions: settings.addJsExtensions } : null,
+  output: buildOutputOptions(settings, file),
+  prepass: prepass?.[file.originalPath] || null
+});
+
+// Merges a worker result (or a cached one) into its record
+export const applyResult = (file, { success, content, map, typeLines, notes, error }) => {
+  let output = { content: null, map: null };
+  // A component has nowhere to put a sourceMappingURL, so its map only serves the preview
+  if (success) output = isComponent(file.originalName) ? { content, map } : attachSourceMap(content, map, file.sourceMaps, file.newPath);
+  return {
+    ...file,
+    content: output.content,
+    map: output.map,
+    typeLines: success ? typeLines : null,
+    prepassNotes: success ? notes || [] : null,
+    error: success ? null : error.message,
+    errorDetail: success ? null : error,
+    status: 'complete'
+  };
+};
+
+// Sources for the project-wide TypeScript jobs. Hand-written .d.ts inputs take part so the
+// project's own types resolve; unread Files are passed as they are. TypeScript can't read
+// components, so they're left out.
+export const programSources = (allFiles) => Object.fromEntries([
+  ...allFiles.filter(f => f.kind !== 'asset' && !isComponent(f.originalName)).map(f => [f.originalPath, f.inputContent ?? f.source]),
+  ...allFiles.filter(f => f.kind === 'asset' && isDeclaration(f.originalName)).map(f => [f.originalPath, f.blob])
+]);
+
+// Sources for the project pre-pass: the same files, plus components, whose script blocks import
+// from the rest of the project too
+export const prepassSources = (allFiles) => ({
+  ...programSources(allFiles),
+  ...Object.fromEntries(allFiles.filter(f => isComponent(f.originalName)).map(f => [f.originalPath, f.inputContent ?? f.source]))
+});
+
+const PROGRAM_FIELDS = {
+  declarations: 'declaration',
+  typecheck: 'diagnostics'
+};
+
+// Stores a program job's per-file outputs on the records
+export const applyProgramJob = (files, type, outputs) => files.map(f => (
+  f.kind !== 'asset' && f.originalPath in outputs ? { ...f, [PROGRAM_FIELDS[type]]: outputs[f.originalPath] } : f
+));
+
+// Everything an export writes, as { path, data, source } (source = the script it came from).
+// `blocked` is the number of files with type errors when the type-check policy stops the export.
+export const collectOutputs = (files, settings, subset = files) => {
+  const typeErrorFiles = files.filter(f => typeErrorsOf(f).length > 0);
+  if (settings.typeCheck && settings.typeErrors === 'block' && typeErrorFiles.length > 0) {
+    return { outputs: [], blocked: typeErrorFiles.length };
+  }
+
+  const root = projectRoot(files);
+  const outputs = [];
+  subset.forEach(file => {
+    if (file.kind === 'asset') {
+      // .d.ts inputs kept only for the project pre-pass aren't part of the output
+      if (isDeclaration(file.originalName) && !settings.copyAssets && !settings.declarations) return;
+      // Existing .d.ts inputs join the generated declarations
+      const path = settings.declarations && isDeclaration(file.originalName)
+        ? placeDeclaration(file.newPath, settings.declarationDir, root)
+        : file.newPath;
+      outputs.push({ path, data: file.blob });
+    } else if (!file.error && file.content) {
+      if (file.declaration && settings.declarations) {
+        outputs.push({ path: placeDeclaration(declarationName(file.newPath), settings.declarationDir, root), data: file.declaration });
+      }
+      const typeErrors = settings.typeCheck && settings.typeErrors === 'mark' ? typeErrorsOf(file) : [];
+      outputs.push({
+        path: file.newPath,
+        data: typeErrors.length > 0 ? markTypeErrors(file.content, typeErrors) : file.content,
+        source: file.originalPath
+      });
+      if (file.map && file.sourceMaps === 'external' && !isComponent(file.originalName)) {
+        outputs.push({ path: `${file.newPath}.map`, data: JSON.stringify(file.map) });
+      }
+    }
+  });
+
+  return { outputs, blocked: 0 };
+};
+
+// Callers pick the format: a Blob in the browser, a Buffer in Node
+export const createZip = (outputs) => {
+  const zip = new JSZip();
+  outputs.forEach(({ path, data }) => zip.file(path, data));
+  return zip;
+};
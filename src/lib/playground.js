@@ -0,0 +1,93 @@
+import { DEFAULT_OPTIONS } from './options.js';
+
+// --- Playground ---
+// A single snippet converted through the worker pool as it's typed. The snippet, its file name
+// and the transform options that differ from the defaults live in the URL hash, so a link
+// reproduces it:
+//   #playground=<base64url of the deflated JSON state>
+
+const HASH_PREFIX = '#playground=';
+
+// The options that shape a snippet's output. Nothing else (exports, globs, type-check, ...) goes
+// into a link or comes out of one.
+const TRANSFORM_OPTIONS = [
+  'target', 'browserslist', 'moduleFormat',
+  'jsxRuntime', 'jsxPragma', 'jsxPragmaFrag', 'jsxImportSource',
+  'onlyRemoveTypeImports', 'allowDeclareFields', 'typesAsJsdoc', 'isTSX',
+  'decorators', 'emitDecoratorMetadata', 'classFields',
+  'sourceMaps', 'outputFormat', 'minifyMangle', 'minifyDeadCode', 'minifyKeepLicense',
+  'formatIndent', 'formatQuotes', 'formatSemicolons', 'formatWidth'
+];
+
+// Typing pause before a snippet is converted
+export const PLAYGROUND_DELAY = 300;
+
+// Playground tasks share the worker pool with file tasks; their ids tell the results apart
+export const PLAYGROUND_ID_PREFIX = 'playground-';
+
+export const isPlaygroundId = (id) => typeof id === 'string' && id.startsWith(PLAYGROUND_ID_PREFIX);
+
+export const isPlaygroundHash = (hash) => hash.startsWith(HASH_PREFIX);
+
+export const PLAYGROUND_FILES = ['playground.ts', 'playground.tsx'];
+
+export const DEFAULT_SNIPPET = `interface User {
+  id: number;
+  name: string;
+}
+
+enum Role { Admin, Member }
+
+export const greet = (user: User, role: Role = Role.Member): string =>
+  \`Hello \${user.name} (\${Role[role]})\`;
+`;
+
+// A script record for the snippet, so it goes through the same createTask/applyResult as files
+export const playgroundRecord = (id, source, filename, sourceMaps) => ({
+  id,
+  kind: 'script',
+  originalName: filename,
+  originalPath: filename,
+  newName: filename.replace(/\.tsx?$/, '.js'),
+  newPath: filename.replace(/\.tsx?$/, '.js'),
+  inputContent: source,
+  sourceMaps,
+  status: 'pending'
+});
+
+const pipe = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+
+// Only transform options that differ from the defaults are stored, which keeps links short
+export const encodeState = async ({ source, filename, options }) => {
+  const changed = Object.fromEntries(TRANSFORM_OPTIONS.filter(key => options[key] !== DEFAULT_OPTIONS[key]).map(key => [key, options[key]]));
+  const json = new TextEncoder().encode(JSON.stringify({ source, filename, options: changed }));
+  return `${HASH_PREFIX}${toBase64Url(await pipe(json, new CompressionStream('deflate-raw')))}`;
+};
+
+// Resolves with { source, filename, options } for a playground hash, or null for anything else
+// (including links that were cut short). `options` holds every transform option: the link's, or
+// the default where the link has none.
+export const decodeState = async (hash) => {
+  if (!isPlaygroundHash(hash)) return null;
+  try {
+    const bytes = await pipe(fromBase64Url(hash.slice(HASH_PREFIX.length)), new DecompressionStream('deflate-raw'));
+    const state = JSON.parse(new TextDecoder().decode(bytes));
+    return {
+      source: typeof state.source === 'string' ? state.source : '',
+      filename: PLAYGROUND_FILES.includes(state.filename) ? state.filename : PLAYGROUND_FILES[0],
+      options: Object.fromEntries(TRANSFORM_OPTIONS.map(key => [key, state.options && key in state.options ? state.options[key] : DEFAULT_OPTIONS[key]]))
+    };
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,479 @@
+import Babel from '@babel/standalone';
+import { dirname, normalize } from './paths.js';
+import { resolveSpecifier, resolveAlias } from './rewriteImports.js';
+import { isDeclaration } from './projectFiles.js';
+import { isComponent, findTsBlocks, blockSource } from './components.js';
+
+// --- Project Pre-pass ---
+// Files are converted one at a time, so Babel can't see what other files declare. Three things
+// go wrong because of that:
+//   - const enum values imported from another file (a `declare const enum` has no runtime object)
+//   - `export { T } from './x'` and re-exported imports when T is only a type
+//   - a `namespace` merged across script files (the parts each declare it with `let` and can't
+//     see each other's members)
+// summarizeFile() parses one file into what the analysis needs; resolveProject() works out from
+// the summaries, per file, what its transform needs to know. Summaries only change with their
+// file, so callers keep them between runs. prepassPlugin() applies the result in the file's
+// transform and records a note for each place that depended on it, including the ones it can't fix.
+
+const TYPE = { type: 'type' };
+const VALUE = { type: 'value' };
+
+const parserPlugins = (path) => [
+  ['typescript', { dts: isDeclaration(path) }],
+  ...(/\.(tsx|jsx|js)$/.test(path) ? ['jsx'] : []),
+  'decorators-legacy'
+];
+
+// Component blocks are parsed separately; the analysis only looks at top-level statements
+const programsOf = (path, text) => {
+  const parse = (code, plugins) => Babel.packages.parser.parse(code, {
+    sourceType: 'module',
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    plugins
+  }).program;
+  if (!isComponent(path)) return [parse(text, parserPlugins(path))];
+  return findTsBlocks(text, path).map(block => parse(blockSource(text, block), ['typescript']));
+};
+
+// --- Const Enum Values ---
+
+const BINARY = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '**': (a, b) => a ** b,
+  '|': (a, b) => a | b,
+  '&': (a, b) => a & b,
+  '^': (a, b) => a ^ b,
+  '<<': (a, b) => a << b,
+  '>>': (a, b) => a >> b,
+  '>>>': (a, b) => a >>> b
+};
+
+const UNARY = {
+  '-': (a) => -a,
+  '+': (a) => +a,
+  '~': (a) => ~a
+};
+
+// The constant expressions TypeScript allows in a const enum, or undefined
+const evaluate = (node, enumName, members) => {
+  switch (node.type) {
+    case 'NumericLiteral':
+    case 'StringLiteral':
+      return node.value;
+    case 'TemplateLiteral':
+      return node.expressions.length === 0 ? node.quasis[0].value.cooked : undefined;
+    case 'Identifier':
+      return members[node.name];
+    case 'MemberExpression': {
+      const key = memberKey(node);
+      return node.object.type === 'Identifier' && node.object.name === enumName && key !== null ? members[key] : undefined;
+    }
+    case 'UnaryExpression': {
+      const value = evaluate(node.argument, enumName, members);
+      return typeof value === 'number' && UNARY[node.operator] ? UNARY[node.operator](value) : undefined;
+    }
+    case 'BinaryExpression': {
+      const left = evaluate(node.left, enumName, members);
+      const right = evaluate(node.right, enumName, members);
+      if (left === undefined || right === undefined || !BINARY[node.operator]) return undefined;
+      if ((typeof left === 'string' || typeof right === 'string') && node.operator !== '+') return undefined;
+      return BINARY[node.operator](left, right);
+    }
+    default:
+      return undefined;
+  }
+};
+
+// Member values, or null when one can't be worked out without a type checker
+const evaluateEnum = (node) => {
+  const members = {};
+  let next = 0;
+  for (const member of node.members) {
+    const key = member.id.type === 'Identifier' ? member.id.name : member.id.value;
+    const value = member.initializer ? evaluate(member.initializer, node.id.name, members) : next;
+    if (value === undefined || value === null || (typeof value === 'number' && !Number.isFinite(value))) return null;
+    members[key] = value;
+    next = typeof value === 'number' ? value + 1 : null;
+  }
+  return members;
+};
+
+const memberKey = (node) => {
+  if (!node.computed && node.property.type === 'Identifier') return node.property.name;
+  if (node.computed && node.property.type === 'StringLiteral') return node.property.value;
+  return null;
+};
+
+// --- File Summaries ---
+
+const nameOf = (node) => (node.type === 'Identifier' ? node.name : node.value);
+
+// What a top-level declaration binds, as [name, kind]. In a .d.ts everything is ambient, but a
+// JS file may stand behind it, so only interfaces, types and const enums count as type-only there.
+const declared = (node, dts) => {
+  const erased = node.declare && !dts;
+  switch (node.type) {
+    case 'TSInterfaceDeclaration':
+    case 'TSTypeAliasDeclaration':
+      return [[node.id.name, TYPE]];
+    case 'TSEnumDeclaration':
+      if (node.const) return [[node.id.name, { type: 'enum', members: evaluateEnum(node), declared: dts || Boolean(node.declare) }]];
+      return [[node.id.name, erased ? TYPE : VALUE]];
+    case 'TSDeclareFunction':
+      return node.id ? [[node.id.name, dts ? VALUE : TYPE]] : [];
+    case 'FunctionDeclaration':
+    case 'ClassDeclaration':
+      return node.id ? [[node.id.name, erased ? TYPE : VALUE]] : [];
+    case 'VariableDeclaration':
+      return node.declarations.filter(d => d.id.type === 'Identifier').map(d => [d.id.name, erased ? TYPE : VALUE]);
+    case 'TSModuleDeclaration':
+      return node.id.type === 'Identifier' ? [[node.id.name, erased ? TYPE : VALUE]] : [];
+    default:
+      return [];
+  }
+};
+
+// Value members a namespace body exports, for merging across files
+const namespaceMembers = (node) => {
+  if (node.body.type === 'TSModuleDeclaration') return [node.body.id.name];
+  return node.body.body.flatMap(statement => (statement.type === 'ExportNamedDeclaration' && statement.declaration
+    ? declared(statement.declaration, false).filter(([, kind]) => kind !== TYPE).map(([name]) => name)
+    : []));
+};
+
+const summarize = (programs, dts) => {
+  const summary = {
+    module: false,
+    locals: new Map(), // name -> kinds
+    imports: new Map(), // local -> { source, imported, typeOnly }
+    exports: new Map(), // exported -> { local } or a kind
+    reexports: [], // { source, names: [{ local, exported }] }
+    stars: [],
+    namespaces: new Map() // name -> members, for script files
+  };
+  const declare = (node) => declared(node, dts).forEach(([name, kind]) => {
+    summary.locals.set(name, [...(summary.locals.get(name) || []), kind]);
+  });
+
+  programs.flatMap(program => program.body).forEach(statement => {
+    switch (statement.type) {
+      case 'ImportDeclaration':
+        summary.module = true;
+        statement.specifiers.forEach(specifier => summary.imports.set(specifier.local.name, {
+          source: statement.source.value,
+          imported: specifier.type === 'ImportSpecifier' ? nameOf(specifier.imported) : specifier.type === 'ImportDefaultSpecifier' ? 'default' : '*',
+          typeOnly: statement.importKind === 'type' || specifier.importKind === 'type'
+        }));
+        break;
+      case 'ExportNamedDeclaration': {
+        summary.module = true;
+        const typeOnly = statement.exportKind === 'type';
+        if (statement.declaration) {
+          declare(statement.declaration);
+          declared(statement.declaration, dts).forEach(([name]) => summary.exports.set(name, { local: name }));
+        }
+        const names = [];
+        statement.specifiers.forEach(specifier => {
+          const exported = nameOf(specifier.exported);
+          if (specifier.type !== 'ExportSpecifier') summary.exports.set(exported, VALUE);
+          else if (typeOnly || specifier.exportKind === 'type') summary.exports.set(exported, TYPE);
+          else if (statement.source) names.push({ local: nameOf(specifier.local), exported });
+          else summary.exports.set(exported, { local: nameOf(specifier.local) });
+        });
+        if (statement.source && names.length > 0) summary.reexports.push({ source: statement.source.value, names });
+        break;
+      }
+      case 'ExportDefaultDeclaration': {
+        summary.module = true;
+        const { declaration } = statement;
+        if (declaration.type === 'TSInterfaceDeclaration') summary.exports.set('default', TYPE);
+        else if (declaration.type === 'Identifier') summary.exports.set('default', { local: declaration.name });
+        else summary.exports.set('default', VALUE);
+        break;
+      }
+      case 'ExportAllDeclaration':
+        summary.module = true;
+        if (statement.exportKind !== 'type') summary.stars.push(statement.source.value);
+        break;
+      case 'TSExportAssignment':
+      case 'TSImportEqualsDeclaration':
+        summary.module = true;
+        break;
+      default:
+        declare(statement);
+        if (statement.type === 'TSModuleDeclaration' && statement.id.type === 'Identifier' && !statement.declare && statement.body) {
+          const members = summary.namespaces.get(statement.id.name) || new Set();
+          namespaceMembers(statement).forEach(name => members.add(name));
+          summary.namespaces.set(statement.id.name, members);
+        }
+    }
+  });
+
+  return summary;
+};
+
+// A file's summary, or null when it can't be parsed (it fails on its own when it's converted).
+// Summaries are plain data, so they can be posted between threads.
+export const summarizeFile = (path, text) => {
+  try {
+    return summarize(programsOf(path, text), isDeclaration(path));
+  } catch {
+    return null;
+  }
+};
+
+// --- Project Analysis ---
+
+// `summaries` maps every script and .d.ts path to its summary (or null); `aliases` are the
+// tsconfig paths the import rewriter uses. Returns { [path]: context } for the files that need one.
+export const resolveProject = (allSummaries, aliases = null) => {
+  const files = Object.fromEntries([...allSummaries.keys()].map(path => [path, path]));
+  const summaries = new Map([...allSummaries].filter(([, summary]) => summary));
+
+  const resolve = (importer, spec) => {
+    const hit = spec.startsWith('.') ? resolveSpecifier(files, importer, spec) : resolveAlias(files, aliases, spec);
+    if (hit) return hit.path;
+    // Ambient const enums usually live in a hand-written .d.ts, which the rewriter never resolves
+    if (!spec.startsWith('.')) return null;
+    const base = normalize(dirname(importer) + spec);
+    return [`${base}.d.ts`, `${base}/index.d.ts`].find(path => summaries.has(path)) || null;
+  };
+
+  // What `name` exported from `path` is: TYPE, VALUE, an enum kind, or null when unknown
+  const lookup = (path, name, seen = new Set()) => {
+    const key = `${path}\0${name}`;
+    const summary = summaries.get(path);
+    if (!summary || seen.has(key)) return null;
+    seen.add(key);
+
+    const entry = summary.exports.get(name);
+    if (entry) return entry.local ? lookupLocal(path, summary, entry.local, seen) : entry;
+
+    const reexport = summary.reexports.find(r => r.names.some(n => n.exported === name));
+    if (reexport) {
+      const target = resolve(path, reexport.source);
+      return target ? lookup(target, reexport.names.find(n => n.exported === name).local, seen) : null;
+    }
+
+    if (name === 'default') return null;
+    for (const source of summary.stars) {
+      const target = resolve(path, source);
+      const found = target && lookup(target, name, seen);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  const lookupLocal = (path, summary, local, seen) => {
+    const kinds = summary.locals.get(local);
+    if (kinds) {
+      const constEnum = kinds.find(k => k.type === 'enum');
+      if (constEnum) return { ...constEnum, name: local };
+      return kinds.some(k => k.type === 'value') ? VALUE : TYPE;
+    }
+    const imported = summary.imports.get(local);
+    if (!imported) return null;
+    if (imported.typeOnly) return TYPE;
+    if (imported.imported === '*') return VALUE;
+    const target = resolve(path, imported.source);
+    return target ? lookup(target, imported.imported, seen) : null;
+  };
+
+  // Script files that declare each namespace, for merging
+  const namespaceFiles = new Map();
+  summaries.forEach((summary, path) => {
+    if (summary.module || isDeclaration(path)) return;
+    summary.namespaces.forEach((members, name) => {
+      namespaceFiles.set(name, [...(namespaceFiles.get(name) || []), path]);
+    });
+  });
+
+  const contexts = {};
+  summaries.forEach((summary, path) => {
+    if (isDeclaration(path)) return;
+    const enums = {};
+    const typeImports = [];
+    const typeReexports = {};
+    const namespaces = {};
+
+    summary.imports.forEach((imported, local) => {
+      if (imported.typeOnly) {
+        typeImports.push(local);
+        return;
+      }
+      const target = imported.imported !== '*' && resolve(path, imported.source);
+      const found = target && lookup(target, imported.imported);
+      if (found?.type === 'type') typeImports.push(local);
+      if (found?.type === 'enum') enums[local] = { name: found.name, source: imported.source, members: found.members, declared: found.declared };
+    });
+
+    summary.reexports.forEach(({ source, names }) => {
+      const target = resolve(path, source);
+      const types = target ? names.filter(n => lookup(target, n.local)?.type === 'type').map(n => n.local) : [];
+      if (types.length > 0) typeReexports[source] = [...(typeReexports[source] || []), ...types];
+    });
+
+    if (!summary.module) {
+      summary.namespaces.forEach((own, name) => {
+        const others = namespaceFiles.get(name).filter(other => other !== path);
+        if (others.length === 0) return;
+        const members = new Set(others.flatMap(other => [...summaries.get(other).namespaces.get(name)]));
+        namespaces[name] = { members: [...members].filter(member => !own.has(member)), files: others };
+      });
+    }
+
+    // Type-only imports only matter to the transform when they're re-exported
+    const reexported = new Set([...summary.exports.values()].map(entry => entry.local).filter(Boolean));
+    const context = {
+      enums,
+      typeImports: typeImports.filter(local => reexported.has(local) || !summary.imports.get(local).typeOnly),
+      typeReexports,
+      namespaces
+    };
+    if (Object.values(context).some(value => Object.keys(value).length > 0)) contexts[path] = context;
+  });
+
+  return contexts;
+};
+
+// Both steps at once, for a project read in one go. `sources` maps paths to their text.
+export const analyzeProject = (sources, aliases = null) => resolveProject(
+  new Map([...sources].map(([path, text]) => [path, summarizeFile(path, text)])),
+  aliases
+);
+
+// --- Transform ---
+
+const TYPE_CONTEXTS = [
+  'TSTypeAnnotation',
+  'TSTypeParameterDeclaration',
+  'TSTypeParameterInstantiation',
+  'TSExpressionWithTypeArguments',
+  'TSInterfaceDeclaration',
+  'TSTypeAliasDeclaration',
+  'TSDeclareFunction',
+  'TSQualifiedName'
+];
+
+const inType = (path) => Boolean(path.findParent(p => p.isTSType() || TYPE_CONTEXTS.includes(p.node.type)));
+
+const isWrite = (member) => (member.parentPath.isAssignmentExpression({ left: member.node }) || member.parentPath.isUpdateExpression());
+
+const listNames = (names) => names.map(name => `\`${name}\``).join(', ');
+const plural = (count, one, many) => (count === 1 ? one : many);
+
+// `context` is one file's entry from analyzeProject(); notes collect { line, message, fixed }.
+// It runs on Program entry, before the typescript preset elides imports and before the import
+// rewriter changes any specifier.
+export const prepassPlugin = (context, notes) => ({ types: t }) => {
+  const note = (node, message, fixed) => notes.push({ line: node?.loc ? node.loc.start.line : null, message, fixed });
+
+  const literal = (value) => (typeof value === 'string'
+    ? t.stringLiteral(value)
+    : value < 0 ? t.unaryExpression('-', t.numericLiteral(-value)) : t.numericLiteral(value));
+
+  const removeSpecifiers = (statement, specifiers) => {
+    if (specifiers.length === statement.node.specifiers.length) statement.remove();
+    else specifiers.forEach(specifier => specifier.remove());
+  };
+
+  const dropTypeBindings = (program) => {
+    const typeImports = new Set(context.typeImports);
+    program.get('body').forEach(statement => {
+      if (statement.isImportDeclaration() && statement.node.importKind !== 'type') {
+        const types = statement.get('specifiers').filter(s => typeImports.has(s.node.local.name) && s.node.importKind !== 'type');
+        if (types.length === 0) return;
+        const [are, them] = plural(types.length, ['is only a type', 'it'], ['are only types', 'them']);
+        note(statement.node, `${listNames(types.map(s => s.node.local.name))} ${are} in '${statement.node.source.value}', so importing ${them} would fail at runtime. The import is dropped.`, true);
+        removeSpecifiers(statement, types);
+      } else if (statement.isExportNamedDeclaration() && statement.node.exportKind !== 'type' && !statement.node.declaration) {
+        const { source } = statement.node;
+        const names = source ? new Set(context.typeReexports[source.value] || []) : typeImports;
+        const types = statement.get('specifiers').filter(s => s.isExportSpecifier() && s.node.exportKind !== 'type' && names.has(nameOf(s.node.local)));
+        if (types.length === 0) return;
+        const from = source ? ` from '${source.value}'` : '';
+        const are = plural(types.length, 'is only a type', 'are only types');
+        note(statement.node, `${listNames(types.map(s => nameOf(s.node.exported)))} re-exported${from} ${are}, so the export would fail at runtime. It's dropped.`, true);
+        removeSpecifiers(statement, types);
+      }
+    });
+  };
+
+  const inlineEnums = (program) => {
+    Object.entries(context.enums).forEach(([local, info]) => {
+      const binding = program.scope.getBinding(local);
+      if (!binding || binding.kind !== 'module') return;
+
+      const uses = binding.referencePaths.filter(ref => !inType(ref));
+      let inlined = 0;
+      uses.forEach(ref => {
+        const member = ref.parentPath;
+        const key = member.isMemberExpression({ object: ref.node }) ? memberKey(member.node) : null;
+        if (info.members && key !== null && Object.hasOwn(info.members, key) && !isWrite(member)) {
+          const value = literal(info.members[key]);
+          t.addComment(value, 'trailing', ` ${info.name}.${key} `);
+          member.replaceWith(value);
+          inlined++;
+        } else if (info.declared) {
+          const reason = info.members ? 'only `Enum.Member` reads can be inlined' : 'its values couldn\'t be worked out';
+          note(ref.node, `\`${info.name}\` from '${info.source}' is a declared const enum with no runtime object, and ${reason}. This use will fail at runtime.`, false);
+        }
+      });
+
+      if (inlined === 0) return;
+      note(binding.path.parentPath.node, `Inlined ${inlined} ${plural(inlined, 'value', 'values')} of const enum \`${info.name}\` from '${info.source}'.`, true);
+      // The import has nothing left to do once every use is a literal
+      if (inlined === uses.length) removeSpecifiers(binding.path.parentPath, [binding.path]);
+    });
+  };
+
+  const qualifyNamespaces = (program) => {
+    Object.entries(context.namespaces).forEach(([name, { members, files }]) => {
+      const others = new Set(members);
+      let qualified = 0;
+      program.get('body')
+        .filter(s => s.isTSModuleDeclaration() && s.node.id.type === 'Identifier' && s.node.id.name === name)
+        .forEach(declaration => declaration.traverse({
+          Identifier(path) {
+            const member = path.node.name;
+            if (!others.has(member) || !path.isReferencedIdentifier() || inType(path) || path.scope.hasBinding(member, true)) return;
+            path.replaceWith(t.memberExpression(t.identifier(name), t.identifier(member)));
+            qualified++;
+          }
+        }));
+      const references = qualified > 0
+        ? ` ${qualified} ${plural(qualified, 'reference to a member declared there now goes', 'references to members declared there now go')} through \`${name}\`.`
+        : '';
+      note(null, `Namespace \`${name}\` is merged with declarations in ${files.join(', ')}.${references} It's declared with \`var\` so the scripts can share it.`, true);
+    });
+  };
+
+  return {
+    visitor: {
+      Program: {
+        enter(program) {
+          dropTypeBindings(program);
+          program.scope.crawl();
+          inlineEnums(program);
+          qualifyNamespaces(program);
+        },
+        // Babel declares a namespace with `let`, which a second script can't declare again
+        exit(program) {
+          program.get('body').forEach(statement => {
+            const [declarator] = statement.node.declarations || [];
+            if (statement.isVariableDeclaration({ kind: 'let' }) && statement.node.declarations.length === 1
+              && !declarator.init && declarator.id.type === 'Identifier' && Object.hasOwn(context.namespaces, declarator.id.name)) {
+              statement.node.kind = 'var';
+            }
+          });
+        }
+      }
+    }
+  };
+};
@@ -0,0 +1,103 @@
+import { createPathFilter } from './glob.js';
+
+// --- Project File Classification ---
+
+// Vue, Svelte and Astro components are converted in place (see lib/components.js)
+const SCRIPT_PATTERN = /\.(ts|tsx|jsx|js|vue|svelte|astro)$/;
+const DECLARATION_PATTERN = /\.d\.[cm]?ts$/;
+
+export const isScript = (name) => SCRIPT_PATTERN.test(name) && !DECLARATION_PATTERN.test(name);
+
+export const isDeclaration = (name) => DECLARATION_PATTERN.test(name);
+
+// TypeScript and JSX sources all become plain .js
+export const outputName = (name) => name.replace(/\.(ts|tsx|jsx)$/, '.js');
+
+export const uploadPath = (file) => file.webkitRelativePath || file.name;
+
+// Gives a File the path a folder upload would have. webkitRelativePath is a read-only getter on
+// File.prototype, so an own property shadows it.
+export const withRelativePath = (file, path) => Object.defineProperty(file, 'webkitRelativePath', { value: path });
+
+// Globs are written relative to the project, so a folder upload's root directory is ignored
+const projectRelative = (file) => (file.webkitRelativePath
+  ? file.webkitRelativePath.split('/').slice(1).join('/')
+  : file.name);
+
+// `project` is the loaded tsconfig; its include/exclude only narrow down which scripts get converted
+export const classifyFiles = (fileList, options, project) => {
+  const matches = createPathFilter(options.includeGlobs, options.excludeGlobs);
+  const inProject = project && options.useTsconfig
+    ? createPathFilter(project.include, project.exclude)
+    : () => true;
+  const result = { scripts: [], assets: [], excluded: [] };
+
+  fileList.forEach(file => {
+    const path = uploadPath(file);
+    const rel = projectRelative(file);
+    if (!matches(rel)) result.excluded.push({ file, path });
+    else if (isScript(file.name)) (inProject(rel) ? result.scripts : result.excluded).push({ file, path });
+    else if (options.copyAssets || (isDeclaration(file.name) && (options.declarations || options.projectPrepass))) result.assets.push({ file, path });
+    else result.excluded.push({ file, path });
+  });
+
+  return result;
+};
+
+// The folder name shared by every path of a folder upload, or '' for loose files
+export const projectRoot = (files) => {
+  const first = files[0]?.originalPath.split('/')[0];
+  const shared = files.length > 0 && files.every(f => f.originalPath.includes('/') && f.originalPath.split('/')[0] === first);
+  return shared ? first : '';
+};
+
+// Places a .d.ts path under `dir` (relative to the project root), or leaves it beside its source
+export const placeDeclaration = (dtsPath, dir, root) => {
+  const folder = (dir || '').trim().replace(/^\.?\/+|\/+$/g, '');
+  if (!folder) return dtsPath;
+  if (root && dtsPath.startsWith(`${root}/`)) return `${root}/${folder}/${dtsPath.slice(root.length + 1)}`;
+  return `${folder}/${dtsPath}`;
+};
+
+export const declarationName = (newPath) => newPath.replace(/\.js$/, '.d.ts');
+
+// --- File Records ---
+// The entries of the App's file list. Script records keep the uploaded File as `source` and only
+// read it when something needs the text, so big projects don't sit in memory as strings;
+// `inputContent` is set when the text is already at hand (watch mode, restored sessions).
+
+const newId = () => Date.now() + Math.random().toString(36).substr(2, 9);
+
+export const createScriptRecord = (file, path, inputContent = null) => ({
+  id: newId(),
+  kind: 'script',
+  originalName: file.name,
+  newName: outputName(file.name),
+  originalPath: path,
+  newPath: outputName(path),
+  source: file,
+  inputContent,
+  usesDecorators: false, // set by the App's import scan while `inputContent` is still null
+  content: null,
+  status: 'idle',
+  error: null
+});
+
+// Non-script files are copied as-is, so they start out complete
+export const createAssetRecord = (file, path) => ({
+  id: newId(),
+  kind: 'asset',
+  originalName: file.name,
+  newName: file.name,
+  originalPath: path,
+  newPath: path,
+  blob: file,
+  inputContent: null,
+  content: null,
+  status: 'complete',
+  error: null
+});
+
+export const readSource = (record) => (record.inputContent !== null && record.inputContent !== undefined
+  ? Promise.resolve(record.inputContent)
+  : record.source.text());
@@ -0,0 +1,93 @@
+import { dirname, normalize, relative } from './paths.js';
+
+// --- Import Specifier Rewriting ---
+// Babel plugin that points relative specifiers at the renamed output files.
+// `fileIndex` maps every uploaded originalPath to its newPath; `aliases` holds
+// tsconfig baseUrl/paths already resolved to upload paths (see lib/tsconfig.js).
+
+const SCRIPT_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx'];
+
+const isRelative = (spec) => spec.startsWith('./') || spec.startsWith('../') || spec === '.' || spec === '..';
+
+// Returns { path, explicit } for the uploaded file a project path points at
+const resolvePath = (fileIndex, base) => {
+  if (fileIndex[base] !== undefined) return { path: base, explicit: true };
+
+  // TS-style './foo.js' that actually refers to './foo.ts'
+  const jsExt = SCRIPT_EXTENSIONS.find(ext => base.endsWith(ext));
+  if (jsExt) {
+    const stem = base.slice(0, -jsExt.length);
+    const hit = SCRIPT_EXTENSIONS.map(ext => stem + ext).find(p => fileIndex[p] !== undefined);
+    if (hit) return { path: hit, explicit: true };
+  }
+
+  const candidates = SCRIPT_EXTENSIONS.map(ext => base + ext)
+    .concat(SCRIPT_EXTENSIONS.map(ext => `${base}/index${ext}`));
+  const hit = candidates.find(p => fileIndex[p] !== undefined);
+  return hit ? { path: hit, explicit: false } : null;
+};
+
+export const resolveSpecifier = (fileIndex, importer, spec) => resolvePath(fileIndex, normalize(dirname(importer) + spec));
+
+// Same lookup order as TypeScript: the longest matching `paths` pattern, then baseUrl
+export const resolveAlias = (fileIndex, aliases, spec) => {
+  if (!aliases) return null;
+
+  const matches = aliases.paths
+    .map(({ pattern, targets }) => {
+      const star = pattern.indexOf('*');
+      if (star === -1) return spec === pattern ? { prefix: pattern, wildcard: '', targets } : null;
+      const prefix = pattern.slice(0, star);
+      const suffix = pattern.slice(star + 1);
+      if (!spec.startsWith(prefix) || !spec.endsWith(suffix) || spec.length < prefix.length + suffix.length) return null;
+      return { prefix, wildcard: spec.slice(prefix.length, spec.length - suffix.length), targets };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  for (const { wildcard, targets } of matches) {
+    for (const target of targets) {
+      const hit = resolvePath(fileIndex, normalize(target.replace('*', wildcard)));
+      if (hit) return hit;
+    }
+  }
+
+  return aliases.baseUrl !== null ? resolvePath(fileIndex, normalize(aliases.baseUrl + spec)) : null;
+};
+export const rewriteImportsPlugin = (fileIndex, aliases, importer, addExtensions) => () => {
+  const rewrite = (source) => {
+    if (!source || source.type !== 'StringLiteral') return;
+
+    if (isRelative(source.value)) {
+      const resolved = resolveSpecifier(fileIndex, importer, source.value);
+      if (!resolved) return;
+      // Extensionless specifiers still resolve in bundlers; only spell them out when asked to
+      if (!resolved.explicit && !addExtensions) return;
+      source.value = relative(dirname(fileIndex[importer] || importer), fileIndex[resolved.path]);
+      return;
+    }
+
+    // Aliases mean nothing outside the compiler, so they always become full relative paths
+    const resolved = resolveAlias(fileIndex, aliases, source.value);
+    if (!resolved) return;
+
+    source.value = relative(dirname(fileIndex[importer] || importer), fileIndex[resolved.path]);
+  };
+
+  return {
+    visitor: {
+      'ImportDeclaration|ExportNamedDeclaration|ExportAllDeclaration'(path) {
+        rewrite(path.node.source);
+      },
+      CallExpression(path) {
+        const { callee, arguments: args } = path.node;
+        if (callee.type === 'Import' || (callee.type === 'Identifier' && callee.name === 'require' && !path.scope.hasBinding('require'))) {
+          rewrite(args[0]);
+        }
+      },
+      ImportExpression(path) {
+        rewrite(path.node.source);
+      }
+    }
+  };
+};
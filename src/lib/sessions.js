@@ -0,0 +1,64 @@
+import { request, withStore } from './db.js';
+
+// --- Saved Sessions ---
+// A session is the file list plus the settings it was converted with. The current session is
+// autosaved under AUTOSAVE so a reload can offer it back; named sessions sit next to it.
+
+const STORE = 'sessions';
+
+export const AUTOSAVE = '__autosave__';
+
+// Minimum time between autosaves while files keep changing
+export const AUTOSAVE_INTERVAL = 2000;
+
+// In-flight work can't survive a reload, so pending files come back as idle
+const storableFile = (file) => (file.status === 'pending' ? { ...file, status: 'idle' } : file);
+
+export const createSession = (name, { files, options, projectConfig, archiveName, uploadMode }) => ({
+  name,
+  savedAt: Date.now(),
+  fileCount: files.length,
+  files: files.map(storableFile),
+  options,
+  projectConfig,
+  archiveName,
+  uploadMode
+});
+
+export const saveSession = (session) => withStore(STORE, 'readwrite', store => request(store.put(session, session.name)));
+
+export const loadSession = async (name) => {
+  try {
+    return (await withStore(STORE, 'readonly', store => request(store.get(name)))) || null;
+  } catch {
+    return null;
+  }
+};
+
+export const deleteSession = (name) => withStore(STORE, 'readwrite', store => request(store.delete(name)));
+
+// Named sessions only (no file contents), newest first
+export const listSessions = async () => {
+  try {
+    const sessions = await withStore(STORE, 'readonly', store => new Promise((resolve, reject) => {
+      const result = [];
+      const cursor = store.openCursor();
+      cursor.onsuccess = () => {
+        const current = cursor.result;
+        if (!current) {
+          resolve(result);
+          return;
+        }
+        if (current.key !== AUTOSAVE) {
+          const { name, savedAt, fileCount } = current.value;
+          result.push({ name, savedAt, fileCount });
+        }
+        current.continue();
+      };
+      cursor.onerror = () => reject(cursor.error);
+    }));
+    return sessions.sort((a, b) => b.savedAt - a.savedAt);
+  } catch {
+    return [];
+  }
+};
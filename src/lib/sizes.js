@@ -0,0 +1,36 @@
+// --- Size Report ---
+// Original vs. output bytes for every converted script, as written to the ZIP or folder.
+
+const encoder = new TextEncoder();
+
+export const byteSize = (text) => encoder.encode(text).length;
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} kB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+};
+
+// Relative change from input to output, e.g. "-42%"
+export const formatChange = (input, output) => {
+  if (input === 0) return '';
+  const change = Math.round(((output - input) / input) * 100);
+  return `${change > 0 ? '+' : ''}${change}%`;
+};
+
+// Unread sources are measured by their File size, so nothing is read just for the report
+const inputSize = (file) => (file.inputContent !== null && file.inputContent !== undefined
+  ? byteSize(file.inputContent)
+  : file.source?.size ?? 0);
+
+export const sizeReport = (files) => {
+  const rows = files
+    .filter(f => f.kind !== 'asset' && f.status === 'complete' && !f.error && f.content)
+    .map(f => ({ file: f, input: inputSize(f), output: byteSize(f.content) }));
+
+  return {
+    rows: rows.sort((a, b) => b.output - a.output),
+    input: rows.reduce((sum, r) => sum + r.input, 0),
+    output: rows.reduce((sum, r) => sum + r.output, 0)
+  };
+};
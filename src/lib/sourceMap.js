@@ -0,0 +1,122 @@
+import { basename } from './paths.js';
+
+// --- Source Map Helpers ---
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = Object.fromEntries([...BASE64].map((c, i) => [c, i]));
+
+const decodeSegment = (segment) => {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const char of segment) {
+    const digit = BASE64_VALUES[char];
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+};
+
+// Maps each generated line (0-based) to the first original line (0-based) it came from
+export const decodeLineMappings = (map) => {
+  const lines = [];
+  let sourceLine = 0;
+  map.mappings.split(';').forEach((line, index) => {
+    lines[index] = null;
+    line.split(',').filter(Boolean).forEach(segment => {
+      const fields = decodeSegment(segment);
+      if (fields.length < 4) return;
+      sourceLine += fields[2];
+      if (lines[index] === null) lines[index] = sourceLine;
+    });
+  });
+  return lines;
+};
+
+const encodeValue = (value) => {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let out = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    out += BASE64[digit];
+  } while (vlq > 0);
+  return out;
+};
+
+// Segments per generated line with absolute values: [column, source, line, column, name]
+const decodeMappings = (mappings) => {
+  const state = [0, 0, 0, 0, 0];
+  return mappings.split(';').map(line => {
+    state[0] = 0;
+    return line.split(',').filter(Boolean).map(segment => decodeSegment(segment).map((value, i) => (state[i] += value)));
+  });
+};
+
+const encodeMappings = (lines) => {
+  const state = [0, 0, 0, 0, 0];
+  return lines.map(segments => {
+    state[0] = 0;
+    return segments.map(fields => fields.map((value, i) => {
+      const out = encodeValue(value - state[i]);
+      state[i] = value;
+      return out;
+    }).join('')).join(',');
+  }).join(';');
+};
+
+// One map for pieces of code that were placed into a single file, all converted from `source`.
+// `parts` are { map, line, column }: where the piece's first generated line starts (0-based).
+export const joinMaps = (parts, source) => {
+  const lines = [];
+  const names = [];
+  parts.forEach(({ map, line, column }) => {
+    const nameOffset = names.length;
+    names.push(...(map.names || []));
+    decodeMappings(map.mappings).forEach((segments, i) => {
+      const shifted = segments.map(([generated, ...original]) => [
+        generated + (i === 0 ? column : 0),
+        ...original.map((value, j) => (j === 3 ? value + nameOffset : value))
+      ]);
+      lines[line + i] = (lines[line + i] || []).concat(shifted);
+    });
+  });
+  return {
+    version: 3,
+    sources: parts[0].map.sources,
+    sourcesContent: [source],
+    names,
+    mappings: encodeMappings(Array.from(lines, segments => segments || []))
+  };
+};
+
+export const toInlineComment = (map) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(map));
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `//# sourceMappingURL=data:application/json;charset=utf-8;base64,${btoa(binary)}`;
+};
+
+export const toExternalComment = (mapFileName) => `//# sourceMappingURL=${mapFileName}`;
+
+// Adds the sourceMappingURL comment for the chosen mode; the map is kept either way for the preview
+export const attachSourceMap = (code, map, mode, newPath) => {
+  if (!map || mode === 'none') return { content: code, map: null };
+
+  const fileName = basename(newPath);
+  const fullMap = { ...map, file: fileName };
+  const comment = mode === 'inline'
+    ? toInlineComment(fullMap)
+    : toExternalComment(`${fileName}.map`);
+
+  return { content: `${code}\n${comment}\n`, map: fullMap };
+};
@@ -0,0 +1,83 @@
+import Babel from '@babel/standalone';
+import { rewriteImportsPlugin } from './rewriteImports.js';
+import { collectTypeLinesPlugin } from './typeLines.js';
+import { typescriptDecoratorsPlugin } from './legacyDecorators.js';
+import { typesToJsdocPlugin } from './jsdocTypes.js';
+import { classFieldsPreset } from './classFields.js';
+import { formatOutput } from './outputFormat.js';
+import { isComponent, findTsBlocks, blockSource, spliceBlocks, typedMacrosPlugin, componentModulePlugin } from './components.js';
+import { joinMaps } from './sourceMap.js';
+import { prepassPlugin } from './prepass.js';
+
+// --- Transpile Core ---
+// Converts one file: Babel.transform with the task's options, then the output stage. The
+// browser worker and the Node workers both run this, so they produce the same bytes.
+
+Babel.registerPlugin('typescript-decorators', typescriptDecoratorsPlugin);
+Babel.registerPlugin('typescript-jsdoc', typesToJsdocPlugin);
+Babel.registerPreset('typescript-class-fields', classFieldsPreset(Babel.availablePlugins['transform-class-properties']));
+
+const FALLBACK_OPTIONS = {
+  presets: [
+    ['env', { targets: { esmodules: true }, modules: false }],
+    'react',
+    'typescript'
+  ],
+  sourceMaps: false
+};
+
+const transpileCode = async (code, { filename, path, options, rewrite, output }, index, typeLines, plugins = []) => {
+  const babelOptions = { ...(options || { ...FALLBACK_OPTIONS, filename }) };
+  babelOptions.plugins = (babelOptions.plugins || []).concat([collectTypeLinesPlugin(typeLines), ...plugins]);
+
+  if (rewrite) {
+    babelOptions.plugins.push(rewriteImportsPlugin(index?.files || {}, index?.aliases || null, path, rewrite.addExtensions));
+  }
+
+  const result = Babel.transform(code, babelOptions);
+  return formatOutput(result.code, result.map || null, output);
+};
+
+// Each TypeScript block of a component is converted on its own and put back in place. A block
+// whose typed Vue macros can't be declared at runtime stays TypeScript, with a warning.
+const transpileComponent = async (task, index, typeLines, plugins, notes) => {
+  const { content, filename } = task;
+  const blocks = findTsBlocks(content, filename);
+  plugins = [...plugins, componentModulePlugin];
+  if (filename.endsWith('.vue')) plugins.push(typedMacrosPlugin);
+  const outputs = [];
+  for (const block of blocks) {
+    const empty = content.slice(block.start, block.end).trim() === '';
+    try {
+      outputs.push(empty ? null : await transpileCode(blockSource(content, block), task, index, typeLines, plugins));
+    } catch (error) {
+      if (!error.keepBlock) throw error;
+      notes.push({ line: error.loc.line, message: error.keepBlock, fixed: false });
+      block.tag = content.slice(block.tagStart, block.tagEnd);
+      outputs.push(null);
+    }
+  }
+
+  // The whitespace around a block is the component's own, so a formatter's final newline goes
+  const spliced = spliceBlocks(content, blocks, outputs.map(o => o && o.code.trimEnd()));
+  const converted = outputs.filter(Boolean);
+  const parts = outputs.map((o, i) => (o?.map ? { map: o.map, ...spliced.starts[i] } : null)).filter(Boolean);
+  return {
+    code: spliced.content,
+    map: parts.length > 0 && parts.length === converted.length ? joinMaps(parts, content) : null
+  };
+};
+
+// `task` is what createTask() builds; `index` is { files, aliases } from fileIndexOf(), or null.
+// Throws Babel's (or Terser's/Prettier's) error as-is.
+export const transpileFile = async (task, index) => {
+  const typeLines = new Set();
+  // What the project pre-pass found for this file, applied in its transform (see lib/prepass.js)
+  const notes = [];
+  const plugins = task.prepass ? [prepassPlugin(task.prepass, notes)] : [];
+  const { code, map } = isComponent(task.filename)
+    ? await transpileComponent(task, index, typeLines, plugins, notes)
+    : await transpileCode(task.content, task, index, typeLines, plugins);
+
+  return { content: code, map, typeLines: [...typeLines], notes };
+};
@@ -0,0 +1,214 @@
+// --- In-memory TypeScript Programs ---
+// Builds a ts.Program over the uploaded sources without touching a real file system.
+// The `ts` module and lib .d.ts texts are passed in so this stays usable from both the
+// browser worker (lazy chunks) and Node.
+
+const LIB_DIR = '/__lib__/';
+
+// Uploads come without node_modules, so packages (and the JSX types React would bring) can't be
+// found. Like an untyped package under noImplicitAny: false, each one that doesn't resolve is
+// declared as an `any` module instead of failing every file that imports it.
+const PACKAGE_SHIM = `${LIB_DIR}packages.d.ts`;
+const JSX_SHIM = `declare namespace JSX {
+  interface Element {}
+  interface IntrinsicElements { [name: string]: any }
+}
+`;
+const LIB_REFERENCE = /\/\/\/\s*<reference\s+lib="([^"]+)"\s*\/>/g;
+
+const TARGET_NAMES = {
+  es2015: 'es2015',
+  es2016: 'es2016',
+  es2017: 'es2017',
+  es2018: 'es2018',
+  es2019: 'es2019',
+  es2020: 'es2020',
+  es2021: 'es2021',
+  es2022: 'es2022'
+};
+
+// tsconfig-style (JSON) compiler options, so they can be posted to a worker as-is
+export const buildTsCompilerOptions = (options, project) => {
+  const aliases = options.useTsconfig ? project?.aliases : null;
+  const own = options.useTsconfig ? project?.compilerOptions || {} : {};
+
+  return {
+    ...own,
+    target: TARGET_NAMES[options.target] || 'esnext',
+    module: 'esnext',
+    moduleResolution: 'bundler',
+    jsx: 'preserve',
+    allowJs: true,
+    allowImportingTsExtensions: true,
+    skipLibCheck: true,
+    experimentalDecorators: options.decorators === 'legacy',
+    emitDecoratorMetadata: options.decorators === 'legacy' && options.emitDecoratorMetadata,
+    useDefineForClassFields: options.classFields === 'define',
+    // Aliases are already resolved to upload paths, which live under '/' in the virtual file system
+    baseUrl: aliases?.baseUrl !== null && aliases?.baseUrl !== undefined ? `/${aliases.baseUrl}` : undefined,
+    paths: aliases
+      ? Object.fromEntries(aliases.paths.map(({ pattern, targets }) => [pattern, targets.map(t => `/${t}`)]))
+      : undefined,
+    // Settings that only make sense against a real disk
+    outDir: undefined,
+    rootDir: undefined,
+    declarationDir: undefined,
+    composite: undefined,
+    incremental: undefined,
+    tsBuildInfoFile: undefined
+  };
+};
+
+// An explicit `lib` list replaces the target's default lib file
+export const rootLibFiles = (ts, jsonOptions) => {
+  const { options } = ts.convertCompilerOptionsFromJson(jsonOptions, '/');
+  return options.lib || [ts.getDefaultLibFileName(options)];
+};
+
+// Loads lib files plus everything they pull in through /// <reference lib="..." />
+export const loadLibs = async (rootLibs, readLib) => {
+  const libs = new Map();
+  const pending = [...rootLibs];
+
+  while (pending.length > 0) {
+    const name = pending.pop();
+    if (libs.has(name)) continue;
+    const text = await readLib(name);
+    if (text === undefined) continue;
+    libs.set(name, text);
+    for (const match of text.matchAll(LIB_REFERENCE)) {
+      pending.push(`lib.${match[1].toLowerCase()}.d.ts`);
+    }
+  }
+
+  return libs;
+};
+
+// `files` maps upload paths (no leading slash) to source text
+export const createProgram = (ts, files, libs, jsonOptions) => {
+  const { options } = ts.convertCompilerOptionsFromJson(jsonOptions, '/');
+  const outputs = new Map();
+  const sourceFiles = new Map();
+
+  const directories = new Set(['']);
+  files.forEach((_, path) => {
+    const parts = path.split('/');
+    for (let i = 1; i < parts.length; i++) directories.add(parts.slice(0, i).join('/'));
+  });
+
+  let shim = '';
+  const readFile = (fileName) => {
+    if (fileName === PACKAGE_SHIM) return shim;
+    if (fileName.startsWith(LIB_DIR)) return libs.get(fileName.slice(LIB_DIR.length));
+    return files.get(fileName.replace(/^\//, ''));
+  };
+
+  const host = {
+    getSourceFile: (fileName, languageVersion) => {
+      if (sourceFiles.has(fileName)) return sourceFiles.get(fileName);
+      const text = readFile(fileName);
+      const sourceFile = text === undefined ? undefined : ts.createSourceFile(fileName, text, languageVersion, true);
+      sourceFiles.set(fileName, sourceFile);
+      return sourceFile;
+    },
+    getDefaultLibFileName: (o) => LIB_DIR + ts.getDefaultLibFileName(o),
+    getDefaultLibLocation: () => LIB_DIR,
+    writeFile: (fileName, text) => outputs.set(fileName.replace(/^\//, ''), text),
+    getCurrentDirectory: () => '/',
+    getCanonicalFileName: (fileName) => fileName,
+    useCaseSensitiveFileNames: () => true,
+    getNewLine: () => '\n',
+    fileExists: (fileName) => readFile(fileName) !== undefined,
+    readFile,
+    directoryExists: (dir) => dir.startsWith(LIB_DIR.slice(0, -1)) || directories.has(dir.replace(/^\/|\/$/g, '')),
+    getDirectories: () => []
+  };
+
+  // Relative imports are the project's own and still have to resolve
+  const missing = new Set();
+  files.forEach((text, path) => {
+    ts.preProcessFile(text, true, true).importedFiles.forEach(({ fileName: name }) => {
+      if (/^\.{0,2}\//.test(name) || missing.has(name)) return;
+      if (!ts.resolveModuleName(name, `/${path}`, options, host).resolvedModule) missing.add(name);
+    });
+  });
+  shim = [...missing].map(name => `declare module ${JSON.stringify(name)};\n`).join('') + JSX_SHIM;
+
+  const rootNames = [...files.keys()].map(p => `/${p}`).concat(PACKAGE_SHIM);
+  return { program: ts.createProgram(rootNames, options, host), outputs };
+};
+
+// Returns { [sourcePath]: declarationText } for every emitted source
+export const emitDeclarations = (ts, files, libs, jsonOptions) => {
+  const { program, outputs } = createProgram(ts, files, libs, {
+    ...jsonOptions,
+    declaration: true,
+    emitDeclarationOnly: true,
+    noEmit: false,
+    noEmitOnError: false
+  });
+  program.emit(undefined, undefined, undefined, true);
+
+  const result = {};
+  files.forEach((_, path) => {
+    if (/\.d\.[cm]?ts$/.test(path)) return;
+    const text = outputs.get(path.replace(/\.(tsx?|jsx?|mts|cts)$/, '.d.ts'));
+    if (text !== undefined) result[path] = text;
+  });
+  return result;
+};
+
+const toDiagnostic = (ts, d) => {
+  const position = d.file && d.start !== undefined ? d.file.getLineAndCharacterOfPosition(d.start) : null;
+  return {
+    message: ts.flattenDiagnosticMessageText(d.messageText, '\n'),
+    code: d.code,
+    category: d.category === ts.DiagnosticCategory.Error ? 'error' : 'warning',
+    line: position ? position.line + 1 : null,
+    column: position ? position.character + 1 : null
+  };
+};
+
+// Names a file imports from packages the shim stands in for
+const shimmedImports = (ts, checker, sourceFile) => {
+  const names = new Set();
+  sourceFile.statements.forEach(statement => {
+    if (!ts.isImportDeclaration(statement) || !statement.importClause) return;
+    const module = checker.getSymbolAtLocation(statement.moduleSpecifier);
+    if (module?.declarations?.[0]?.getSourceFile().fileName !== PACKAGE_SHIM) return;
+    const { name, namedBindings } = statement.importClause;
+    if (name) names.add(name.text);
+    if (namedBindings && ts.isNamespaceImport(namedBindings)) names.add(namedBindings.name.text);
+    if (namedBindings && ts.isNamedImports(namedBindings)) namedBindings.elements.forEach(e => names.add(e.name.text));
+  });
+  return names;
+};
+
+// A shimmed package has no types to name, so `FC<Props>` or `React.ReactNode` from one is an
+// error only because the package is missing
+const isShimError = (ts, checker, d, cache) => {
+  if (!d.file) return false;
+  if (d.code !== 2694 && d.code !== 2709) return false;
+  if (!cache.has(d.file)) cache.set(d.file, shimmedImports(ts, checker, d.file));
+  // 2694 flags the member of `React.ReactNode`, 2709 the name in `FC<Props>`
+  const start = d.code === 2694 ? d.file.text.lastIndexOf('.', d.start) : d.start + d.length;
+  const name = d.file.text.slice(0, start).match(/[\w$]+$/)?.[0];
+  return cache.get(d.file).has(name);
+};
+
+// Returns { [sourcePath]: diagnostics[] } for every source (empty when clean); problems that
+// belong to no file (bad compiler options, missing libs) are collected under ''
+export const checkProgram = (ts, files, libs, jsonOptions) => {
+  const { program } = createProgram(ts, files, libs, { ...jsonOptions, noEmit: true });
+  const checker = program.getTypeChecker();
+  const imports = new Map();
+
+  const result = { '': [] };
+  files.forEach((_, path) => { result[path] = []; });
+  ts.getPreEmitDiagnostics(program).forEach(d => {
+    if (isShimError(ts, checker, d, imports)) return;
+    const path = d.file ? d.file.fileName.replace(/^\//, '') : '';
+    (result[path] || result['']).push(toDiagnostic(ts, d));
+  });
+  return result;
+};
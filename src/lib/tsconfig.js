@@ -0,0 +1,148 @@
+import { dirname, normalize } from './paths.js';
+import { uploadPath } from './projectFiles.js';
+
+// --- tsconfig.json Support ---
+// Reads the project's tsconfig (following relative "extends" within the upload)
+// and maps the compiler options we understand onto transpile options.
+
+const MAX_EXTENDS_DEPTH = 5;
+
+// tsconfig files are JSONC: comments and trailing commas are allowed
+export const parseJsonc = (text) => {
+  let out = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inString) {
+      out += c;
+      if (c === '\\') out += text[++i] ?? '';
+      else if (c === '"') inString = false;
+    } else if (c === '"') {
+      inString = true;
+      out += c;
+    } else if (c === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      out += '\n';
+    } else if (c === '/' && text[i + 1] === '*') {
+      i = text.indexOf('*/', i + 2);
+      if (i === -1) break;
+      i++;
+    } else {
+      out += c;
+    }
+  }
+  return JSON.parse(out.replace(/,(\s*[}\]])/g, '$1'));
+};
+
+// The shallowest tsconfig.json in the upload is treated as the project config
+export const findTsconfig = (fileList) => fileList
+  .filter(f => f.name === 'tsconfig.json')
+  .sort((a, b) => uploadPath(a).split('/').length - uploadPath(b).split('/').length)[0] || null;
+
+const TARGET_MAP = {
+  es3: { target: 'browserslist', browserslist: 'ie 11' },
+  es5: { target: 'browserslist', browserslist: 'ie 11' },
+  es6: { target: 'es2015' },
+  es2015: { target: 'es2015' },
+  es2016: { target: 'es2016' },
+  es2017: { target: 'es2017' },
+  es2018: { target: 'es2018' },
+  es2019: { target: 'es2019' },
+  es2020: { target: 'es2020' },
+  es2021: { target: 'es2021' },
+  es2022: { target: 'es2022' }
+};
+
+const MODULE_MAP = {
+  none: 'commonjs',
+  commonjs: 'commonjs',
+  amd: 'amd',
+  umd: 'umd',
+  system: 'systemjs'
+};
+
+export const mapCompilerOptions = (compilerOptions) => {
+  const co = compilerOptions || {};
+  const options = {};
+
+  if (co.target) {
+    Object.assign(options, TARGET_MAP[co.target.toLowerCase()] || { target: 'esnext' });
+  }
+  if (co.module) {
+    options.moduleFormat = MODULE_MAP[co.module.toLowerCase()] || 'esm';
+  }
+
+  if (co.jsx === 'react') options.jsxRuntime = 'classic';
+  else if (co.jsx === 'react-jsx' || co.jsx === 'react-jsxdev') options.jsxRuntime = 'automatic';
+  if (co.jsxFactory) options.jsxPragma = co.jsxFactory;
+  if (co.jsxFragmentFactory) options.jsxPragmaFrag = co.jsxFragmentFactory;
+  if (co.jsxImportSource) options.jsxImportSource = co.jsxImportSource;
+
+  if (co.experimentalDecorators) options.decorators = 'legacy';
+  if (co.emitDecoratorMetadata !== undefined) options.emitDecoratorMetadata = co.emitDecoratorMetadata;
+  // Without the flag tsc uses define semantics only from ES2022 up (its own default target is ES5)
+  const target = (co.target || 'es5').toLowerCase();
+  const defineByDefault = target === 'esnext' || Number(target.slice(2)) >= 2022;
+  options.classFields = (co.useDefineForClassFields ?? defineByDefault) ? 'define' : 'set';
+
+  return options;
+};
+
+// Turns tsconfig include/exclude entries into globs relative to the project root. tsc reads
+// them from the config's folder, so they're anchored there: "src" isn't also lib/src.
+const toGlobs = (entries, configDir, rootDir) => (entries || []).map(entry => {
+  const path = `${normalize(configDir + entry)}/`;
+  const rel = rootDir && path.startsWith(rootDir) ? path.slice(rootDir.length) : path;
+  return `/${rel.replace(/\/$/, '') || '**'}`;
+}).join('\n');
+
+// `paths` targets are resolved to full upload paths so the worker can match them against its file index
+const resolveAliases = (co, configDir) => {
+  if (!co.baseUrl && !co.paths) return null;
+  const baseDir = co.baseUrl ? `${normalize(configDir + co.baseUrl)}/`.replace(/^\/$/, '') : configDir;
+  return {
+    baseUrl: co.baseUrl ? baseDir : null,
+    paths: Object.entries(co.paths || {}).map(([pattern, targets]) => ({
+      pattern,
+      targets: targets.map(t => normalize(baseDir + t))
+    }))
+  };
+};
+
+const readConfig = async (file, byPath, depth) => {
+  const config = parseJsonc(await file.text());
+  if (!config.extends || depth >= MAX_EXTENDS_DEPTH) return config;
+
+  // Package-based "extends" (e.g. @tsconfig/node18) can't be resolved without node_modules
+  const base = byPath.get(normalize(dirname(uploadPath(file)) + config.extends))
+    || byPath.get(normalize(dirname(uploadPath(file)) + config.extends + '.json'));
+  if (!base) return config;
+
+  const parent = await readConfig(base, byPath, depth + 1);
+  return {
+    ...parent,
+    ...config,
+    compilerOptions: { ...parent.compilerOptions, ...config.compilerOptions }
+  };
+};
+
+export const loadProjectConfig = async (fileList) => {
+  const file = findTsconfig(fileList);
+  if (!file) return null;
+
+  const byPath = new Map(fileList.map(f => [uploadPath(f), f]));
+  const config = await readConfig(file, byPath, 0);
+  const path = uploadPath(file);
+  const configDir = dirname(path);
+  // Folder uploads carry their root folder name; globs are written without it
+  const rootDir = file.webkitRelativePath ? `${path.split('/')[0]}/` : '';
+
+  return {
+    path,
+    options: mapCompilerOptions(config.compilerOptions),
+    compilerOptions: config.compilerOptions || {},
+    include: toGlobs(config.include, configDir, rootDir),
+    exclude: toGlobs(config.exclude, configDir, rootDir),
+    aliases: resolveAliases(config.compilerOptions || {}, configDir)
+  };
+};
@@ -0,0 +1,44 @@
+// --- Stripped Type Detection ---
+// Babel plugin that records which original lines carry TypeScript-only syntax.
+// It traverses on Program entry, before the typescript preset removes anything.
+
+const TYPE_ONLY_NODES = [
+  'TSTypeAnnotation',
+  'TSTypeParameterDeclaration',
+  'TSTypeParameterInstantiation',
+  'TSInterfaceDeclaration',
+  'TSTypeAliasDeclaration',
+  'TSDeclareFunction',
+  'TSDeclareMethod',
+  'TSIndexSignature',
+  'TSNonNullExpression'
+];
+
+const addRange = (lines, node) => {
+  if (!node || !node.loc) return;
+  for (let line = node.loc.start.line; line <= node.loc.end.line; line++) lines.add(line);
+};
+
+export const collectTypeLinesPlugin = (lines) => () => ({
+  visitor: {
+    Program(program) {
+      program.traverse({
+        [TYPE_ONLY_NODES.join('|')](path) {
+          addRange(lines, path.node);
+        },
+        'TSAsExpression|TSSatisfiesExpression'(path) {
+          addRange(lines, path.node.typeAnnotation);
+        },
+        'ImportDeclaration|ExportNamedDeclaration'(path) {
+          if (path.node.importKind === 'type' || path.node.exportKind === 'type') addRange(lines, path.node);
+        },
+        ImportSpecifier(path) {
+          if (path.node.importKind === 'type') addRange(lines, path.node);
+        },
+        'ClassProperty|TSModuleDeclaration'(path) {
+          if (path.node.declare) addRange(lines, path.node);
+        }
+      });
+    }
+  }
+});
@@ -0,0 +1,33 @@
+import { uploadPath } from './projectFiles.js';
+
+// --- Directory Watching ---
+// FileSystemObserver isn't widely available yet, so an opened directory is polled: each scan is
+// reduced to a path → "lastModified:size" snapshot and compared with the previous one.
+
+export const WATCH_INTERVAL = 1500;
+
+const LOG_LIMIT = 200;
+
+export const snapshotOf = (fileList) => new Map(fileList.map(f => [uploadPath(f), `${f.lastModified}:${f.size}`]));
+
+export const diffSnapshots = (before, after) => {
+  const changed = [];
+  const added = [];
+  const removed = [];
+
+  after.forEach((stamp, path) => {
+    if (!before.has(path)) added.push(path);
+    else if (before.get(path) !== stamp) changed.push(path);
+  });
+  before.forEach((_, path) => {
+    if (!after.has(path)) removed.push(path);
+  });
+
+  return { changed, added, removed };
+};
+
+// Newest entries first; `kind` is 'change' | 'build' | 'write' | 'error'
+export const appendLog = (log, kind, message) => [
+  { id: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`, time: new Date(), kind, message },
+  ...log
+].slice(0, LOG_LIMIT);
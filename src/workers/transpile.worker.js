@@ -0,0 +1,78 @@
+import { parseBabelError } from '../lib/errors.js';
+import { emitDeclarations, checkProgram } from '../lib/tsProgram.js';
+import { transpileFile } from '../lib/transpile.js';
+import { summarizeFile, resolveProject } from '../lib/prepass.js';
+import { loadTypeScript, loadLibsFor } from './typescript.js';
+
+// { files: originalPath -> newPath, aliases: tsconfig baseUrl/paths }, sent before each batch
+let fileIndex = null;
+
+// Declarations and type-checking need the whole project at once, so a single pool worker
+// builds one TypeScript program for the job
+const PROGRAM_JOBS = {
+  declarations: emitDeclarations,
+  typecheck: checkProgram
+};
+
+// Sources arrive as text or as Files/Blobs that haven't been read yet
+const readSources = async (files) => new Map(await Promise.all(Object.entries(files).map(async ([path, source]) => [
+  path,
+  typeof source === 'string' ? source : await source.text()
+])));
+
+const runProgramJob = async ({ type, id, files, compilerOptions }) => {
+  try {
+    const sources = await readSources(files);
+    const ts = await loadTypeScript();
+    const libs = await loadLibsFor(ts, compilerOptions);
+    const outputs = PROGRAM_JOBS[type](ts, sources, libs, compilerOptions);
+    self.postMessage({ type, success: true, id, outputs });
+  } catch (error) {
+    self.postMessage({ type, success: false, id, error: error.message });
+  }
+};
+
+// The project pre-pass runs before a batch's file tasks; its result goes into each task.
+// `summaries` are the main thread's from earlier runs; only `files` (new or changed) are parsed,
+// one at a time, and their summaries go back to be kept.
+const runPrepass = async ({ type, id, files, summaries, aliases }) => {
+  try {
+    const all = new Map(Object.entries(summaries));
+    const fresh = {};
+    for (const [path, source] of Object.entries(files)) {
+      fresh[path] = summarizeFile(path, typeof source === 'string' ? source : await source.text());
+      all.set(path, fresh[path]);
+    }
+    self.postMessage({ type, success: true, id, outputs: resolveProject(all, aliases), summaries: fresh });
+  } catch (error) {
+    self.postMessage({ type, success: false, id, error: error.message });
+  }
+};
+
+self.onmessage = async (e) => {
+  if (e.data.type === 'index') {
+    fileIndex = { files: e.data.files, aliases: e.data.aliases || null };
+    return;
+  }
+
+  if (PROGRAM_JOBS[e.data.type]) {
+    runProgramJob(e.data);
+    return;
+  }
+
+  if (e.data.type === 'prepass') {
+    runPrepass(e.data);
+    return;
+  }
+
+  const { filename, id } = e.data;
+
+  try {
+    // Files arrive unread unless the main thread already had their text
+    const content = e.data.content ?? await e.data.source.text();
+    const result = await transpileFile({ ...e.data, content }, fileIndex);
+    self.postMessage({ success: true, id, ...result });
+  } catch (error) {
+    self.postMessage({ success: false, id, error: parseBabelError(error, filename) });
+  }
+};
@@ -0,0 +1,20 @@
+import { rootLibFiles, loadLibs } from '../lib/tsProgram.js';
+
+// --- Lazy TypeScript Loading (worker side) ---
+// The compiler and its lib files are split into their own chunks and only fetched
+// the first time a worker needs them.
+
+const LIB_FILES = import.meta.glob('/node_modules/typescript/lib/lib.*.d.ts', { query: '?raw', import: 'default' });
+
+let tsPromise = null;
+
+export const loadTypeScript = () => {
+  if (!tsPromise) {
+    tsPromise = import('typescript').then(mod => mod.default || mod);
+  }
+  return tsPromise;
+};
+
+const readLib = (name) => LIB_FILES[`/node_modules/typescript/lib/${name}`]?.();
+
+export const loadLibsFor = (ts, jsonOptions) => loadLibs(rootLibFiles(ts, jsonOptions), readLib);